@@ -5,10 +5,26 @@
 
 console.log('UUID Resolver: Background service worker starting...');
 
+// UUIDExtractor: normalizing UUID extraction shared with the content script
+importScripts('/shared/uuid-extractor.js');
+// TypeInferenceRules: default type inference rules shared with the options page
+importScripts('/shared/type-inference-rules.js');
+
+// Per-request diagnostics are logged only while Debug Mode is checked in the options
+let debugLogging = false;
+chrome.storage.sync.get('debugMode', (result) => {
+  debugLogging = result?.debugMode === true;
+});
+
+function debugLog(...args) {
+  if (debugLogging) console.log(...args);
+}
+
 // Extension lifecycle
 chrome.runtime.onInstalled.addListener((details) => {
   console.log('UUID Resolver: Extension installed/updated');
   setupContextMenu();
+  scheduleCatalogSync().catch(() => {});
   
   if (details.reason === 'install') {
     initializeExtension();
@@ -20,6 +36,27 @@ chrome.runtime.onStartup?.addListener(() => {
   try {
     setupContextMenu();
   } catch (_) {}
+  scheduleCatalogSync().catch(() => {});
+});
+
+// Scheduled catalog sync
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === CATALOG_SYNC_ALARM) {
+    syncCatalog().catch((error) => console.warn('UUID Resolver: Scheduled catalog sync failed:', error.message));
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync' && changes.debugMode) {
+    debugLogging = changes.debugMode.newValue === true;
+  }
+  if (areaName === 'sync' && (changes.catalogSyncEnabled || changes.catalogSyncInterval)) {
+    scheduleCatalogSync().catch(() => {});
+  }
+  // The "Resolve as" submenu lists the custom types that are switched on
+  if (areaName === 'sync' && (changes.customResolvers || changes.entityTypes)) {
+    setupContextMenu();
+  }
 });
 
 // Extension action - open options page
@@ -33,83 +70,300 @@ chrome.action.onClicked.addListener(async (tab) => {
   }
 });
 
+const CONTEXT_MENU_ID = 'resolve-uuid';
+const CONTEXT_MENU_AUTO = 'auto';
+const RESOLVE_SELECTION_COMMAND = 'resolve-selection';
+const FOCUS_TOASTS_COMMAND = 'focus-toasts';
+
+let contextMenuSetup = Promise.resolve();
+
 /**
- * Setup context menu for UUID resolution
+ * Setup context menu for UUID resolution: "Resolve UUID" with an "Auto" item that walks the
+ * entity type chain and one item per entity type ("Resolve as") that skips the fallback.
+ * Built-in types are always listed, custom types only while they are switched on.
  */
 function setupContextMenu() {
-  chrome.contextMenus.removeAll(() => {
-    chrome.contextMenus.create({
-      id: 'resolve-uuid',
-      title: 'Resolve UUID',
-      contexts: ['selection'],
-      documentUrlPatterns: [
-        'https://*.data.workspaceone.com/*',
-        'https://*.awmdm.com/*'
-      ]
+  // Rebuilds run one after another: interleaved removeAll/create calls fail on duplicate ids
+  contextMenuSetup = contextMenuSetup.then(buildContextMenu).catch((error) => {
+    console.warn('UUID Resolver: Context menu setup failed:', error.message);
+  });
+  return contextMenuSetup;
+}
+
+async function buildContextMenu() {
+  const settings = await getSettings().catch(() => ({}));
+  const enabled = settings.entityTypes || {};
+  const menuTypes = getResolverRegistry(settings)
+    .filter(definition => BUILT_IN_RESOLVERS.includes(definition) || enabled[definition.key] !== false);
+  const documentUrlPatterns = [
+    'https://*.data.workspaceone.com/*',
+    'https://*.awmdm.com/*'
+  ];
+  const items = [
+    { id: CONTEXT_MENU_ID, title: 'Resolve UUID' },
+    { id: `${CONTEXT_MENU_ID}:${CONTEXT_MENU_AUTO}`, parentId: CONTEXT_MENU_ID, title: 'Auto' },
+    { id: `${CONTEXT_MENU_ID}:separator`, parentId: CONTEXT_MENU_ID, type: 'separator' },
+    ...menuTypes.map(definition => ({ id: `${CONTEXT_MENU_ID}:${definition.key}`, parentId: CONTEXT_MENU_ID, title: definition.name }))
+  ];
+  
+  await new Promise((resolve, reject) => {
+    chrome.contextMenus.removeAll(() => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      Promise.all(items.map(item => createContextMenuItem({ ...item, contexts: ['selection'], documentUrlPatterns })))
+        .then(resolve);
+    });
+  });
+  console.log('UUID Resolver: Context menu created');
+}
+
+/**
+ * Create one menu item; a failure is logged and leaves the other items in place
+ */
+function createContextMenuItem(properties) {
+  return new Promise((resolve) => {
+    chrome.contextMenus.create(properties, () => {
+      if (chrome.runtime.lastError) {
+        console.warn('UUID Resolver: Could not create context menu item', properties.id, chrome.runtime.lastError.message);
+      }
+      resolve();
     });
-    console.log('UUID Resolver: Context menu created');
   });
 }
 
+/**
+ * Entity type key chosen in the "Resolve as" submenu, or null for Auto
+ */
+function getMenuEntityTypeKey(menuItemId) {
+  const [, key] = String(menuItemId).split(':');
+  return key && key !== CONTEXT_MENU_AUTO ? key : null;
+}
+
 /**
  * Handle context menu clicks
  */
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
-  console.log('UUID Resolver: Context menu clicked', info);
+  debugLog('UUID Resolver: Context menu clicked', info);
   
-  if (info.menuItemId === 'resolve-uuid') {
-    const selectedText = info.selectionText || '';
-    console.log('UUID Resolver: Selected text:', selectedText);
-    
-    // Extract UUID from selected text
-    const uuidMatch = selectedText.match(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i);
-    
-    if (uuidMatch) {
-      const uuid = uuidMatch[0].toLowerCase();
-      console.log('UUID Resolver: Found UUID:', uuid);
+  if (String(info.menuItemId).startsWith(`${CONTEXT_MENU_ID}:`)) {
+    await resolveSelection(info.selectionText || '', tab, {
+      frameId: info.frameId,
+      entityTypeKey: getMenuEntityTypeKey(info.menuItemId)
+    });
+  }
+});
 
-      // Stats: increment totalFound
-      incrementStat('totalFound');
-      
-      // Show immediate feedback that we found a UUID
-      try {
-        showNotification('UUID Found', `Found UUID: ${uuid}\nAttempting to resolve...`, tab, { level: 'info' });
-        
-        // Start UUID resolution process
-        await resolveUUIDWithFallback(uuid, tab);
-      } catch (error) {
-        console.error('UUID Resolver: Error in resolution process:', error);
-        incrementStat('totalErrors');
-        showNotification('Resolution Error', `Error processing UUID: ${error.message}`, tab, { level: 'error' });
-      }
-    } else {
-      console.log('UUID Resolver: No valid UUID found in selection');
-      showNotification('No UUID Found', `Selected text: "${selectedText}"\n\nNo valid UUID found. Please select text containing a UUID (format: xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx) and try again.`, tab, { level: 'error' });
+/**
+ * Keyboard shortcuts: resolve the current page selection like the context menu's "Auto" item,
+ * or move keyboard focus to the next toast on the page
+ */
+chrome.commands?.onCommand.addListener(async (command, tab) => {
+  if (command !== RESOLVE_SELECTION_COMMAND && command !== FOCUS_TOASTS_COMMAND) return;
+  
+  const activeTab = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+  if (command === FOCUS_TOASTS_COMMAND) {
+    if (activeTab?.id) {
+      chrome.tabs.sendMessage(activeTab.id, { action: 'focusNextToast' }, { frameId: 0 }).catch(() => {});
     }
+    return;
+  }
+  const selection = await requestSelection(activeTab);
+  if (!selection) {
+    showNotification('No Selection Available', 'Select text containing a UUID on a Workspace ONE UEM or Intelligence page, then press the shortcut again.', activeTab, { level: 'error' });
+    return;
   }
+  await resolveSelection(selection.text, activeTab, { context: selection.context });
 });
 
 /**
- * Resolve UUID with fallback through entity types
+ * Omnibox keyword "uuid": paste a UUID and press Enter to resolve it for the active tab.
+ * While typing, earlier resolutions whose name, type or UUID contain the input are suggested.
  */
-async function resolveUUIDWithFallback(uuid, tab) {
-  console.log('UUID Resolver: Starting resolution for UUID:', uuid);
+const MAX_OMNIBOX_SUGGESTIONS = 6;
+const OMNIBOX_HINT = 'Paste a UUID to resolve it, or type to search resolved entities';
+
+chrome.omnibox?.setDefaultSuggestion({ description: OMNIBOX_HINT });
+
+chrome.omnibox?.onInputChanged.addListener((text, suggest) => {
+  getOmniboxSuggestions(text).then(({ description, suggestions }) => {
+    chrome.omnibox.setDefaultSuggestion({ description });
+    suggest(suggestions);
+  }).catch((error) => {
+    debugLog('UUID Resolver: Omnibox suggestions failed:', error.message);
+  });
+});
+
+chrome.omnibox?.onInputEntered.addListener(async (text) => {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  let [uuid] = UUIDExtractor.extractUUIDs(text).uuids;
+  if (!uuid) {
+    // Enter on a search term resolves the best matching earlier resolution
+    const [match] = await findOmniboxEntries(text);
+    uuid = match?.uuid;
+  }
   
-  // Check if extension is configured first
+  if (!uuid) {
+    showNotification('No UUID Found', `"${text}" is not a UUID and matches no earlier resolution.`, tab, { level: 'error' });
+    return;
+  }
+  
+  incrementStat('totalFound');
   try {
-    const settings = await getSettings();
-    if (!settings.serverUrl) {
-      showNotification('Configuration Required', `UUID found: ${uuid}\n\nPlease configure the extension first by clicking the extension icon and setting up your UEM server URL and credentials.`, tab, { level: 'error' });
-      return;
+    await resolveUUIDWithFallback(uuid, tab, null);
+  } catch (error) {
+    console.error('UUID Resolver: Error in omnibox resolution:', error);
+    incrementStat('totalErrors');
+  }
+});
+
+function escapeOmniboxText(text) {
+  return String(text || '').replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[char]));
+}
+
+/**
+ * Earlier resolutions (history, pinned first, then the resolution cache) whose name, type or UUID
+ * contain the query
+ */
+async function findOmniboxEntries(query) {
+  const needle = String(query || '').trim().toLowerCase();
+  const fromHistory = (await getHistory())
+    .filter(entry => entry.entity)
+    .map(entry => ({ uuid: entry.uuid, name: entry.entity.name, type: entry.entity.subType || entry.entity.type }));
+  const fromCache = (await getCacheEntries()).filter(entry => !entry.expired);
+  
+  const seen = new Set();
+  const entries = fromHistory.concat(fromCache).filter((entry) => {
+    if (seen.has(entry.uuid)) return false;
+    seen.add(entry.uuid);
+    return true;
+  });
+  
+  return needle
+    ? entries.filter(entry => [entry.name, entry.type, entry.uuid].some(value => (value || '').toLowerCase().includes(needle)))
+    : entries;
+}
+
+async function getOmniboxSuggestions(text) {
+  const [uuid] = UUIDExtractor.extractUUIDs(text).uuids;
+  const entries = await findOmniboxEntries(uuid || text);
+  const known = uuid ? entries.find(entry => entry.uuid === uuid) : null;
+  
+  let description = OMNIBOX_HINT;
+  if (uuid) {
+    description = known
+      ? `Resolve <match>${uuid}</match> <dim>${escapeOmniboxText(known.name)} (${escapeOmniboxText(known.type)})</dim>`
+      : `Resolve <match>${uuid}</match>`;
+  }
+  
+  const suggestions = entries
+    .filter(entry => entry.uuid !== uuid)
+    .slice(0, MAX_OMNIBOX_SUGGESTIONS)
+    .map(entry => ({
+      content: entry.uuid,
+      description: `${escapeOmniboxText(entry.name || 'Unknown')} <dim>${escapeOmniboxText(entry.type || '')}</dim> <url>${entry.uuid}</url>`
+    }));
+  
+  return { description, suggestions };
+}
+
+/**
+ * Resolve the UUIDs in selected text: one UUID shows a toast, several (or any invalid
+ * UUID-like text) the results table. options: { frameId, entityTypeKey, context } where context,
+ * when not given, is requested from the content script.
+ */
+async function resolveSelection(selectedText, tab, options = {}) {
+  const { entityTypeKey } = options;
+  debugLog('UUID Resolver: Selected text:', selectedText, entityTypeKey ? `(as ${entityTypeKey})` : '');
+  
+  // Extract every distinct UUID (braced, dashless, encoded or line-split forms included)
+  const { uuids, invalid } = UUIDExtractor.extractUUIDs(selectedText);
+  
+  if (uuids.length > 1 || (uuids.length === 1 && invalid.length > 0)) {
+    debugLog(`UUID Resolver: Found ${uuids.length} UUIDs, ${invalid.length} invalid`);
+    incrementStat('totalFound', uuids.length);
+    
+    try {
+      await resolveBulkSelection(uuids, tab, invalid, entityTypeKey);
+    } catch (error) {
+      console.error('UUID Resolver: Error in bulk resolution:', error);
+      incrementStat('totalErrors');
+      showNotification('Resolution Error', `Error processing ${uuids.length} UUIDs: ${error.message}`, tab, { level: 'error' });
     }
+  } else if (uuids.length === 1) {
+    const uuid = uuids[0];
+    debugLog('UUID Resolver: Found UUID:', uuid);
 
-    if (settings.authType === 'basic' && (!settings.username || !settings.password || !settings.apiKey)) {
-      showNotification('Authentication Required', `UUID found: ${uuid}\n\nPlease configure your username, password, and API key (tenant code) in the extension settings.`, tab, { level: 'error' });
-      return;
+    // Stats: increment totalFound
+    incrementStat('totalFound');
+    
+    // Show immediate feedback that we found a UUID
+    try {
+      showNotification('UUID Found', `Found UUID: ${uuid}\nAttempting to resolve...`, tab, { level: 'info' });
+      
+      // Start UUID resolution process, using the selection's surrounding action as a type hint
+      const context = options.context !== undefined ? options.context : await requestSelectionContext(tab, options.frameId);
+      await resolveUUIDWithFallback(uuid, tab, context, entityTypeKey);
+    } catch (error) {
+      console.error('UUID Resolver: Error in resolution process:', error);
+      incrementStat('totalErrors');
+      showNotification('Resolution Error', `Error processing UUID: ${error.message}`, tab, { level: 'error' });
     }
+  } else if (invalid.length > 0) {
+    debugLog('UUID Resolver: Only invalid UUID-like text in selection', invalid);
+    showNotification('Invalid UUID', `The selection looks like a UUID but is not valid:\n${invalid.slice(0, 5).join('\n')}\n\nA UUID has 32 hex digits (format: xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx). Check for a missing or extra character.`, tab, { level: 'error' });
+  } else {
+    console.log('UUID Resolver: No valid UUID found in selection');
+    showNotification('No UUID Found', `Selected text: "${selectedText}"\n\nNo valid UUID found. Please select text containing a UUID (format: xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx) and try again.`, tab, { level: 'error' });
+  }
+}
+
+// Upper bound for one bulk selection, so selecting a whole page does not queue thousands of lookups
+const MAX_BULK_UUIDS = 200;
+
+/**
+ * Ask the content script for the selected text and its DOM context. Null when the page has
+ * no content script (not a UEM page) or nothing is selected.
+ */
+async function requestSelection(tab) {
+  if (!tab?.id) return null;
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'getSelection' }, { frameId: 0 });
+    return response?.text ? { text: response.text, context: response.context || null } : null;
+  } catch (error) {
+    debugLog('UUID Resolver: No selection available:', error?.message || error);
+    return null;
+  }
+}
+
+/**
+ * Ask the content script for the DOM context around the current selection (best-effort)
+ */
+async function requestSelectionContext(tab, frameId) {
+  if (!tab?.id) return null;
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'getSelectionContext' }, { frameId: frameId || 0 });
+    return response?.context || null;
+  } catch (error) {
+    debugLog('UUID Resolver: No selection context available:', error?.message || error);
+    return null;
+  }
+}
 
-    if (settings.authType === 'oauth' && (!settings.clientId || !settings.clientSecret || !settings.tokenUrl)) {
-      showNotification('OAuth Configuration Required', `UUID found: ${uuid}\n\nPlease configure your OAuth settings in the extension options.`, tab, { level: 'error' });
+/**
+ * Resolve UUID with fallback through entity types, or only as entityTypeKey when one was chosen
+ */
+async function resolveUUIDWithFallback(uuid, tab, context, entityTypeKey) {
+  debugLog('UUID Resolver: Starting resolution for UUID:', uuid);
+  
+  // Check if extension is configured first
+  let settings;
+  try {
+    settings = await getSettingsForUrl(tab?.url);
+    const configError = getConfigurationError(settings);
+    if (configError) {
+      showNotification(configError.title, `UUID found: ${uuid}\n\n${configError.message}`, tab, { level: 'error' });
       return;
     }
   } catch (error) {
@@ -118,170 +372,1237 @@ async function resolveUUIDWithFallback(uuid, tab) {
     return;
   }
   
-  // Order of resolution attempts (based on likelihood)
-  const entityTypes = [
-    { type: 'tag', name: 'Tag' },
-    { type: 'script', name: 'Script' },
-    { type: 'organization-group', name: 'Organization Group' },
-    { type: 'application', name: 'Application' },
-    { type: 'product', name: 'Product' },
-    { type: 'profile', name: 'Profile' }
-  ];
-  
   try {
-    for (const entityType of entityTypes) {
-      try {
-        console.log(`UUID Resolver: Attempting to resolve as ${entityType.name}...`);
-        const result = await resolveUUID(uuid, entityType.type);
-        
-        if (result) {
-          console.log(`UUID Resolver: Successfully resolved as ${entityType.name}:`, result);
-          
-          // Show success popup/notification
-          showEntityDetails(result, tab);
-          return;
-        }
-      } catch (error) {
-        console.log(`UUID Resolver: Failed to resolve as ${entityType.name}:`, error.message);
-        continue;
-      }
+    const { entity, attempts } = await resolveEntity(uuid, { context, settings, entityTypeKey });
+    
+    recordHistory([createHistoryEntry(uuid, settings, tab?.url, { entity, attempts })]);
+    
+    if (entity) {
+      // Show success popup/notification
+      showEntityDetails({ ...maskEntity(entity, settings), consoleUrl: getConsoleUrl(entity, settings) }, tab);
+      return;
     }
     
     // If we get here, no entity type worked
-    console.log('UUID Resolver: Could not resolve UUID with any entity type');
+    debugLog('UUID Resolver: Could not resolve UUID with any entity type', attempts);
     incrementStat('totalFailures');
-    showNotification('UUID Not Found', `Could not resolve UUID: ${uuid}\n\nThe UUID may not exist, you may not have permission to access it, or it may be a different type of entity not yet supported.`, tab, { level: 'error' });
+    recordResolutionFailure(uuid, attempts, tab);
+    showNotification(getFailureTitle(attempts), `Could not resolve UUID: ${uuid}\n\n${formatDiagnostics(attempts)}`, tab, { level: 'error' });
     
   } catch (error) {
     console.error('UUID Resolver: Resolution process failed:', error);
     incrementStat('totalErrors');
+    recordHistory([createHistoryEntry(uuid, settings, tab?.url, { error })]);
     showNotification('Resolution Error', `Failed to resolve UUID: ${uuid}\n\nError: ${error.message}`, tab, { level: 'error' });
   }
 }
 
 /**
- * Robust notification creator with fallback icon and error handling
+ * Resolve every UUID of a multi-UUID selection and show the results as a table in the page.
+ * Lookups share the request limiter, so they are queued rather than sent all at once.
+ * invalid lists UUID-like text of the selection that is not a valid UUID; it is shown as rows too.
  */
-function createNotification(options, onError) {
-  const defaultOptions = {
-    type: 'basic',
-    title: 'UUID Resolver',
-    message: '',
-    iconUrl: chrome.runtime.getURL('icons/icon-48.png')
-  };
-
-  const merged = { ...defaultOptions, ...options };
-
-  // Ensure required fields exist
-  if (!merged.type) merged.type = 'basic';
-  if (!merged.title) merged.title = 'UUID Resolver';
-  if (!merged.message) merged.message = ' ';
-  if (!merged.iconUrl) merged.iconUrl = chrome.runtime.getURL('icons/icon-48.png');
-
-  chrome.notifications.create('', merged, (id) => {
-    const err = chrome.runtime.lastError;
-    if (err) {
-      console.warn('UUID Resolver: Notification error, retrying with data URL icon:', err.message);
-      // Fallback with tiny transparent PNG data URL
-      const fallbackIcon = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVQIW2P8/5+hHgAHggJ/Pvx4GQAAAABJRU5ErkJggg==';
-      const fallback = { ...merged, iconUrl: fallbackIcon };
-      chrome.notifications.create('', fallback, () => {
-        const err2 = chrome.runtime.lastError;
-        if (err2) {
-          console.error('UUID Resolver: Fallback notification failed:', err2.message);
-          if (typeof onError === 'function') {
-            try { onError(err2); } catch (_) {}
-          }
-        }
-      });
+async function resolveBulkSelection(allUuids, tab, invalid = [], entityTypeKey) {
+  const settings = await getSettingsForUrl(tab?.url);
+  const configError = getConfigurationError(settings);
+  if (configError) {
+    showNotification(configError.title, `${allUuids.length} UUIDs found\n\n${configError.message}`, tab, { level: 'error' });
+    return;
+  }
+  
+  const uuids = allUuids.slice(0, MAX_BULK_UUIDS);
+  const skipped = allUuids.length - uuids.length;
+  showNotification('UUIDs Found', `Found ${allUuids.length} UUID${allUuids.length === 1 ? '' : 's'}\nResolving ${uuids.length}...`, tab, { level: 'info' });
+  
+  const rows = await resolveUUIDList(uuids, settings, tab?.url, invalid, entityTypeKey);
+  const resolvedCount = rows.filter(row => row.status === 'resolved').length;
+  
+  const summary = `Resolved ${resolvedCount} of ${uuids.length} UUIDs${invalid.length ? `, ${invalid.length} invalid` : ''}${skipped ? ` (${skipped} more skipped, select at most ${MAX_BULK_UUIDS})` : ''}`;
+  debugLog(`UUID Resolver: ${summary}`);
+  createNotification({ title: 'Bulk Resolution Finished', message: summary });
+  
+  if (tab?.id) {
+    try {
+      await chrome.tabs.sendMessage(tab.id, { action: 'displayBulkResults', rows, summary });
+    } catch (error) {
+      console.warn('UUID Resolver: Failed to send bulk results:', error?.message || error);
     }
-  });
+  }
 }
 
 /**
- * Show entity details in a notification or popup
+ * Resolve a list of UUIDs with the given settings, record them in the history and count them in
+ * the stats. Returns one row per UUID ({ uuid, type, name, status, statusLabel, diagnostics }),
+ * followed by a row per invalid UUID-like text. Used by bulk selections and the popup input.
  */
-function showEntityDetails(entityData, tab) {
-  const { uuid, name, type, subType, description } = entityData;
-  
-  // Ensure we have valid values
-  const entityName = name || 'Unknown';
-  const entityType = subType || type || 'Unknown Type';
-  const entityUuid = uuid || 'Unknown UUID';
-  
-  // Create detailed message
-  let message = `Name: ${entityName}\nType: ${entityType}\n`;
-  if (description && description !== 'undefined' && description !== 'null') {
-    message += `Description: ${description}\n`;
-  }
-  message += `UUID: ${entityUuid}`;
-  
-  // Store details for popup access
-  chrome.storage.local.set({
-    'lastResolvedEntity': {
-      ...entityData,
-      timestamp: Date.now(),
-      tabId: tab?.id
+async function resolveUUIDList(uuids, settings, tabUrl, invalid = [], entityTypeKey) {
+  const historyEntries = [];
+  const rows = await Promise.all(uuids.map(async (uuid) => {
+    try {
+      const { entity, attempts } = await resolveEntity(uuid, { settings, entityTypeKey });
+      historyEntries.push(createHistoryEntry(uuid, settings, tabUrl, { entity, attempts }));
+      if (!entity) {
+        const notFound = getFailureTitle(attempts) === 'UUID Not Found';
+        return { uuid, type: '', name: '', status: notFound ? 'not-found' : 'failed', statusLabel: notFound ? 'Not found' : 'Not resolved', diagnostics: formatDiagnostics(attempts) };
+      }
+      const masked = maskEntity(entity, settings);
+      return {
+        uuid,
+        type: masked.subType || masked.type || '',
+        name: masked.name || '',
+        status: 'resolved',
+        statusLabel: masked.stale ? 'Resolved (may be outdated)' : 'Resolved'
+      };
+    } catch (error) {
+      historyEntries.push(createHistoryEntry(uuid, settings, tabUrl, { error }));
+      return { uuid, type: '', name: '', status: 'error', statusLabel: `Error: ${error.message}` };
     }
+  }));
+  recordHistory(historyEntries);
+  
+  invalid.forEach(text => {
+    rows.push({ uuid: text, type: '', name: '', status: 'invalid', statusLabel: 'Invalid UUID' });
   });
-
-  // Stats: increment totalResolved
-  incrementStat('totalResolved');
   
-  // Show notification via helper (best-effort)
-  createNotification({
-    title: `✅ ${entityType} Found`,
-    message
+  incrementStats({
+    totalResolved: rows.filter(row => row.status === 'resolved').length,
+    totalFailures: rows.filter(row => row.status === 'not-found' || row.status === 'failed').length,
+    totalErrors: rows.filter(row => row.status === 'error').length
   });
+  return rows;
+}
 
-  // Also send to content script to show an in-page toast (visible fallback)
-  if (tab?.id) {
-    try {
-      chrome.tabs.sendMessage(tab.id, { action: 'displayResolvedEntity', data: entityData, persist: true });
-    } catch (e) {
-      console.warn('UUID Resolver: Failed to send in-page toast message:', e?.message);
-    }
+/**
+ * Resolve UUIDs typed or pasted into the popup for the environment of the active tab
+ */
+async function resolvePastedText(text, url) {
+  const { uuids: allUuids, invalid } = UUIDExtractor.extractUUIDs(text);
+  if (allUuids.length === 0 && invalid.length === 0) {
+    throw new Error('No UUID found. A UUID looks like xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx');
+  }
+  
+  const settings = await getSettingsForUrl(url);
+  const configError = getConfigurationError(settings);
+  if (configError) {
+    throw new Error(configError.message);
   }
   
-  console.log('UUID Resolver: Entity details displayed:', entityData);
+  const uuids = allUuids.slice(0, MAX_BULK_UUIDS);
+  incrementStat('totalFound', uuids.length);
+  const rows = await resolveUUIDList(uuids, settings, url, invalid);
+  return { rows, skipped: allUuids.length - uuids.length, limit: MAX_BULK_UUIDS, environmentName: settings.environmentName };
 }
 
 /**
- * Show error/informational notification
+ * Check that server and credentials are configured.
+ * Returns { title, message } describing the problem, or null when ready.
  */
-function showNotification(title, message, tab, opts = {}) {
-  const notificationTitle = title || 'UUID Resolver';
-  const notificationMessage = message || ' ';
-  createNotification({ title: notificationTitle, message: notificationMessage }, (err) => {
-    // If notifications fail (e.g., icon load issues or OS blocked), we'll also send toast below
-  });
+function getConfigurationError(settings) {
+  if (!settings.serverUrl) {
+    return { title: 'Configuration Required', message: 'Please configure the extension first by clicking the extension icon and setting up your UEM server URL and credentials.' };
+  }
 
-  // Always send an in-page toast for colored UI and visibility
-  const tabId = tab?.id;
-  if (tabId) {
-    try {
-      chrome.tabs.sendMessage(tabId, {
-        action: 'displayExtensionMessage',
-        title: notificationTitle,
-        message: notificationMessage,
-        level: opts.level || 'info',
-        persist: !!opts.persist
-      });
-    } catch (e) {
-      console.warn('UUID Resolver: Failed to send fallback toast message:', e?.message || e);
-    }
+  if (settings.authType === 'basic' && (!settings.username || !settings.password || !settings.apiKey)) {
+    return { title: 'Authentication Required', message: 'Please configure your username, password, and API key (tenant code) in the extension settings.' };
+  }
+
+  if (settings.authType === 'oauth' && (!settings.clientId || !settings.clientSecret || !settings.tokenUrl)) {
+    return { title: 'OAuth Configuration Required', message: 'Please configure your OAuth settings in the extension options.' };
+  }
+
+  if (getEntityTypeChain(settings).length === 0) {
+    return { title: 'No Entity Types Enabled', message: 'All entity types are disabled. Please enable at least one entity type in the extension settings.' };
   }
+
+  return null;
 }
 
 /**
- * Message handling from content scripts and popups
+ * Entity resolver registry
+ *
+ * Every entity type is described declaratively and resolved by resolveWithDefinition:
+ *   key          settings key (entityTypes, entityTypeOrder, type inference rules)
+ *   type         entity.type reported to the UI; name/subType are display names
+ *   endpoints    path templates relative to the API base URL. {uuid}, {ogId} and {ogUuid} (the
+ *                configured OG's UUID) are substituted; several endpoints are queried in parallel
+ *                and the first hit wins
+ *   query        query parameters; a parameter whose value is empty after substitution is left out
+ *   version      API version sent in the Accept header (omitted: plain application/json)
+ *   requiresOrganizationGroup  fail without an Organization Group ID
+ *   lookup       'direct' (the endpoint returns the entity), 'list' (search listPath for a record
+ *                whose matchFields equal the UUID) or 'index' (like 'list', but every page is fetched
+ *                once and kept as a persisted index, see resolveFromEntityIndex; pageSize sets the page size)
+ *   deltaQuery   extra query parameters for an incremental index refresh; {since} is the time of the
+ *                last refresh. Servers that ignore them return the full list, which merges the same way
+ *   nameFields, descriptionFields  response paths tried in order ('Id.Value' reads nested fields)
+ *   fields       extra entity properties: { key, label, paths, values }. Labelled fields are shown as
+ *                details; values maps raw API values to display text
+ *   fallbackName name used when the response has none; without it a nameless response is malformed
+ *   catalog      list source for the catalog sync (see syncCatalog): { endpoints, query, listPath,
+ *                matchFields, pageSize, version } plus optional nameFields/descriptionFields/fields
+ *                when the list records differ from the detail response
+ *   idFields     response paths of the entity's numeric ID (entity.id), used by consoleLink
+ *   consoleLink  path of the entity's page in the UEM admin console; {id}, {uuid} and {ogId} are
+ *                filled in (no link when {id} is used but the ID is unknown), see getConsoleUrl
+ *   pii, nameMaskKey  personal data: fields with pii: true, and the entity name when nameMaskKey is set,
+ *                are masked for display when that key is listed in settings.maskedFields (see maskEntity).
+ *                A name read from one of the paths of a pii field is masked with that field's key instead
+ *
+ * Built-in types are listed in default resolution order (based on likelihood). Custom definitions
+ * in the same format come from settings.customResolvers (options page) and are appended.
  */
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('UUID Resolver: Received message:', message);
-  
-  try {
-    switch (message.action) {
-      case 'getSettings':
+const BUILT_IN_RESOLVERS = [
+  {
+    key: 'tag',
+    type: 'tag',
+    name: 'Tag',
+    endpoints: ['/mdm/tags/search'],
+    query: { organizationgroupid: '{ogId}' },
+    requiresOrganizationGroup: true,
+    lookup: 'index',
+    deltaQuery: { modifiedsince: '{since}' },
+    listPath: 'Tags',
+    matchFields: ['Id.Value', 'Uuid'],
+    nameFields: ['TagName'],
+    descriptionFields: ['Description'],
+    fields: [{ key: 'color', paths: ['TagColorId'] }],
+    idFields: ['Id.Value', 'TagId'],
+    consoleLink: '/AirWatch/#/AirWatch/Tags/Details/{id}'
+  },
+  {
+    key: 'script',
+    type: 'script',
+    name: 'Script',
+    subType: 'Script/Workflow',
+    endpoints: ['/mdm/workflows/{uuid}'],
+    version: 2,
+    nameFields: ['name', 'display_name'],
+    descriptionFields: ['description'],
+    fields: [{ key: 'deviceType', label: 'Device Type', paths: ['device_type'] }],
+    fallbackName: 'Unknown Script',
+    consoleLink: '/AirWatch/#/AirWatch/Resources/Scripts/Details/{uuid}',
+    catalog: {
+      endpoints: ['/mdm/groups/{ogUuid}/scripts'],
+      version: 1,
+      listPath: 'SearchResults',
+      matchFields: ['script_uuid', 'uuid'],
+      nameFields: ['name'],
+      descriptionFields: ['description'],
+      fields: [{ key: 'platform', label: 'Platform', paths: ['platform'] }]
+    }
+  },
+  {
+    key: 'organizationGroup',
+    type: 'organization-group',
+    name: 'Organization Group',
+    endpoints: ['/system/groups/{uuid}'],
+    version: 2,
+    nameFields: ['Name', 'GroupName', 'OrganizationGroupName'],
+    descriptionFields: ['Description'],
+    fields: [{ key: 'groupId', label: 'Group ID', paths: ['Id.Value', 'GroupId'] }],
+    idFields: ['Id.Value', 'Id'],
+    consoleLink: '/AirWatch/#/AirWatch/OrganizationGroup/Details/Index/{id}',
+    catalog: {
+      endpoints: ['/system/groups/search'],
+      version: 1,
+      listPath: 'OrganizationGroups',
+      matchFields: ['Uuid']
+    }
+  },
+  {
+    key: 'application',
+    type: 'application',
+    name: 'Application',
+    // No organizationgroupid here: app lookups are global to the tenant
+    endpoints: ['/mam/apps/internal/{uuid}', '/mam/apps/public/{uuid}', '/mam/apps/purchased/{uuid}'],
+    version: 2,
+    nameFields: ['ApplicationName', 'Name', 'AppName'],
+    descriptionFields: ['Description', 'AppDescription'],
+    fields: [
+      { key: 'version', label: 'Version', paths: ['AppVersion', 'Version'] },
+      { key: 'platform', label: 'Platform', paths: ['Platform', 'DeviceType'] }
+    ],
+    idFields: ['Id.Value', 'ApplicationId', 'Id'],
+    consoleLink: '/AirWatch/#/AirWatch/Apps/Details/{id}',
+    catalog: {
+      endpoints: ['/mam/apps/search', '/mam/apps/purchased/search'],
+      query: { locationgroupid: '{ogId}' },
+      version: 1,
+      listPath: 'Application',
+      matchFields: ['Uuid', 'uuid']
+    }
+  },
+  {
+    key: 'product',
+    type: 'product',
+    name: 'Product',
+    endpoints: ['/mdm/products/{uuid}/details'],
+    nameFields: ['product_name'],
+    descriptionFields: ['description'],
+    fields: [
+      { key: 'platform', label: 'Platform', paths: ['platform'] },
+      { key: 'isActive', paths: ['is_active'] }
+    ],
+    fallbackName: 'Unknown Product',
+    idFields: ['product_id', 'ProductId', 'Id.Value'],
+    consoleLink: '/AirWatch/#/AirWatch/Product/Details/{id}',
+    catalog: {
+      endpoints: ['/mdm/products/search'],
+      query: { organizationgroupid: '{ogId}' },
+      version: 1,
+      listPath: 'Products',
+      matchFields: ['Uuid', 'ProductUuid'],
+      nameFields: ['Name', 'ProductName'],
+      descriptionFields: ['Description'],
+      fields: [
+        { key: 'platform', label: 'Platform', paths: ['Platform'] },
+        { key: 'isActive', paths: ['Active'] }
+      ]
+    }
+  },
+  {
+    key: 'profile',
+    type: 'profile',
+    name: 'Profile',
+    endpoints: ['/mdm/profiles/{uuid}/detail'],
+    query: { organizationgroupid: '{ogId}' },
+    nameFields: ['name', 'ProfileName'],
+    descriptionFields: ['Description', 'description'],
+    fields: [{ key: 'platform', label: 'Platform', paths: ['platform', 'Platform'] }],
+    fallbackName: 'Unknown Profile',
+    idFields: ['ProfileId', 'profile_id', 'Id.Value'],
+    consoleLink: '/AirWatch/#/AirWatch/Profiles/Details/{id}',
+    catalog: {
+      endpoints: ['/mdm/profiles/search'],
+      query: { organizationgroupid: '{ogId}' },
+      version: 1,
+      listPath: 'ProfileList',
+      matchFields: ['ProfileUuid', 'Uuid'],
+      nameFields: ['ProfileName', 'Name']
+    }
+  },
+  {
+    key: 'smartGroup',
+    type: 'smart-group',
+    name: 'Smart Group',
+    endpoints: ['/mdm/smartgroups/{uuid}'],
+    version: 2,
+    nameFields: ['Name', 'SmartGroupName'],
+    descriptionFields: ['Description'],
+    fields: [
+      { key: 'managedBy', label: 'Managed By', paths: ['ManagedByOrganizationGroupName', 'ManagedByOrganizationGroupId'] },
+      {
+        key: 'criteriaType',
+        label: 'Criteria',
+        paths: ['CriteriaType'],
+        values: { UserDevice: 'Device/user list', All: 'Criteria', Criteria: 'Criteria' }
+      },
+      { key: 'deviceCount', label: 'Devices', paths: ['Devices', 'DeviceCount', 'AssignedDeviceCount'] },
+      { key: 'smartGroupId', paths: ['SmartGroupID', 'Id.Value'] }
+    ],
+    idFields: ['SmartGroupID', 'Id.Value'],
+    consoleLink: '/AirWatch/#/AirWatch/Groups/AssignmentGroups/Details/{id}'
+  },
+  {
+    key: 'device',
+    type: 'device',
+    name: 'Device',
+    endpoints: ['/mdm/devices/{uuid}'],
+    version: 3,
+    nameFields: ['DeviceFriendlyName', 'friendly_name', 'FriendlyName'],
+    nameMaskKey: 'friendlyName',
+    fields: [
+      { key: 'serialNumber', label: 'Serial Number', paths: ['SerialNumber', 'serial_number'], pii: true },
+      { key: 'platform', label: 'Platform', paths: ['Platform', 'platform'] },
+      { key: 'osVersion', label: 'OS Version', paths: ['OperatingSystem', 'os_version', 'OsVersion'] },
+      { key: 'enrollmentStatus', label: 'Enrollment', paths: ['EnrollmentStatus', 'enrollment_status'] },
+      { key: 'lastSeen', label: 'Last Seen', paths: ['LastSeen', 'last_seen'] }
+    ],
+    fallbackName: 'Unnamed Device',
+    idFields: ['Id.Value', 'DeviceId', 'device_id'],
+    consoleLink: '/AirWatch/#/AirWatch/Device/Details/Summary/{id}'
+  },
+  {
+    key: 'user',
+    type: 'user',
+    name: 'User',
+    endpoints: ['/system/users/{uuid}'],
+    version: 2,
+    nameFields: ['DisplayName', 'display_name', 'UserName', 'user_name'],
+    nameMaskKey: 'displayName',
+    fields: [
+      { key: 'username', label: 'Username', paths: ['UserName', 'user_name'], pii: true },
+      { key: 'email', label: 'Email', paths: ['Email', 'email'], pii: true },
+      { key: 'enrollmentOrganizationGroup', label: 'Enrollment OG', paths: ['EnrollmentOrganizationGroupName', 'LocationGroup', 'EnrollmentOrganizationGroupId'] }
+    ],
+    idFields: ['Id.Value', 'UserId'],
+    consoleLink: '/AirWatch/#/AirWatch/User/Details/{id}'
+  }
+];
+
+const RESOLVER_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,39}$/;
+
+function toStringList(value) {
+  const list = Array.isArray(value) ? value : (value === undefined || value === null ? [] : [value]);
+  return list.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim());
+}
+
+/**
+ * Validate a custom resolver definition from settings. Returns the normalized
+ * definition, or null (with a warning) when it cannot be used.
+ */
+function normalizeResolverDefinition(definition, takenKeys) {
+  const reject = (reason) => {
+    debugLog('UUID Resolver: Ignoring custom resolver:', reason, definition);
+    return null;
+  };
+  
+  if (!definition || typeof definition !== 'object') return reject('not an object');
+  if (!RESOLVER_KEY_PATTERN.test(definition.key || '')) return reject('invalid key');
+  if (takenKeys.includes(definition.key)) return reject(`duplicate key "${definition.key}"`);
+  
+  const endpoints = toStringList(definition.endpoints || definition.endpoint);
+  if (endpoints.length === 0 || endpoints.some(endpoint => !endpoint.startsWith('/'))) {
+    return reject('endpoints must be paths starting with "/"');
+  }
+  
+  const nameFields = toStringList(definition.nameFields);
+  if (nameFields.length === 0) return reject('nameFields is required');
+  
+  const lookup = ['list', 'index'].includes(definition.lookup) ? definition.lookup : 'direct';
+  const matchFields = toStringList(definition.matchFields);
+  if (lookup !== 'direct' && matchFields.length === 0) return reject('matchFields is required for list and index lookups');
+  
+  if (definition.version !== undefined && !/^\d+$/.test(String(definition.version))) return reject('invalid version');
+  
+  const query = {};
+  Object.entries(definition.query && typeof definition.query === 'object' ? definition.query : {})
+    .forEach(([param, value]) => {
+      query[param] = String(value);
+    });
+  
+  const fields = (Array.isArray(definition.fields) ? definition.fields : [])
+    .filter(field => field && RESOLVER_KEY_PATTERN.test(field.key || ''))
+    .map(field => ({
+      key: field.key,
+      label: typeof field.label === 'string' ? field.label : undefined,
+      paths: toStringList(field.paths || field.path),
+      values: field.values && typeof field.values === 'object' ? field.values : undefined,
+      pii: !!field.pii
+    }));
+  
+  const name = typeof definition.name === 'string' && definition.name.trim() ? definition.name.trim() : definition.key;
+  return {
+    key: definition.key,
+    type: definition.key,
+    name,
+    endpoints,
+    query,
+    version: definition.version,
+    requiresOrganizationGroup: !!definition.requiresOrganizationGroup,
+    lookup,
+    listPath: typeof definition.listPath === 'string' ? definition.listPath : '',
+    matchFields,
+    pageSize: parseInt(definition.pageSize) > 0 ? parseInt(definition.pageSize) : undefined,
+    nameFields,
+    descriptionFields: toStringList(definition.descriptionFields),
+    fields,
+    fallbackName: typeof definition.fallbackName === 'string' ? definition.fallbackName : undefined,
+    nameMaskKey: RESOLVER_KEY_PATTERN.test(definition.nameMaskKey || '') ? definition.nameMaskKey : undefined,
+    idFields: toStringList(definition.idFields),
+    consoleLink: typeof definition.consoleLink === 'string' && definition.consoleLink.startsWith('/') ? definition.consoleLink : undefined,
+    catalog: normalizeCatalogSource(definition.catalog),
+    custom: true
+  };
+}
+
+/**
+ * Validate the catalog list source of a custom definition (undefined when absent or unusable)
+ */
+function normalizeCatalogSource(catalog) {
+  if (!catalog || typeof catalog !== 'object') return undefined;
+  
+  const endpoints = toStringList(catalog.endpoints || catalog.endpoint);
+  const matchFields = toStringList(catalog.matchFields);
+  if (endpoints.length === 0 || endpoints.some(endpoint => !endpoint.startsWith('/')) || matchFields.length === 0) {
+    debugLog('UUID Resolver: Ignoring custom catalog source (needs endpoints and matchFields):', catalog);
+    return undefined;
+  }
+  
+  const source = { endpoints, matchFields, listPath: typeof catalog.listPath === 'string' ? catalog.listPath : '' };
+  if (catalog.query && typeof catalog.query === 'object') source.query = catalog.query;
+  if (/^\d+$/.test(String(catalog.version ?? ''))) source.version = catalog.version;
+  if (parseInt(catalog.pageSize) > 0) source.pageSize = parseInt(catalog.pageSize);
+  ['nameFields', 'descriptionFields'].forEach((key) => {
+    if (catalog[key]) source[key] = toStringList(catalog[key]);
+  });
+  return source;
+}
+
+/**
+ * All resolver definitions: built-ins followed by the valid custom definitions
+ */
+function getResolverRegistry(settings) {
+  const registry = BUILT_IN_RESOLVERS.slice();
+  const custom = Array.isArray(settings.customResolvers) ? settings.customResolvers : [];
+  
+  custom.forEach((definition) => {
+    const normalized = normalizeResolverDefinition(definition, registry.map(entry => entry.key));
+    if (normalized) registry.push(normalized);
+  });
+  
+  return registry;
+}
+
+/**
+ * Build the resolution chain from settings: the saved drag-and-drop order
+ * (unknown keys dropped, missing types appended), minus types switched off.
+ * The order is also the order lookups are queued in when requests are capped.
+ */
+function getEntityTypeChain(settings) {
+  const enabled = settings.entityTypes || {};
+  const savedOrder = Array.isArray(settings.entityTypeOrder) ? settings.entityTypeOrder : [];
+  const registry = getResolverRegistry(settings);
+
+  const ordered = savedOrder
+    .map(key => registry.find(entityType => entityType.key === key))
+    .filter((entityType, index, list) => entityType && list.indexOf(entityType) === index);
+  registry.forEach(entityType => {
+    if (!ordered.includes(entityType)) ordered.push(entityType);
+  });
+
+  return ordered.filter(entityType => enabled[entityType.key] !== false);
+}
+
+// In-flight resolutions, so the same UUID seen many times on a page is only resolved once
+const pendingResolutions = new Map();
+
+/**
+ * Resolve a UUID from the cache, or walk the entity types until one resolves.
+ * options.context is the DOM context captured by the content script, used to infer the type;
+ * options.settings are the environment-specific settings (see getSettingsForUrl);
+ * options.entityTypeKey ("Resolve as" menu) resolves as that type only, without inference or fallback;
+ * options.refresh skips the cached result (the new result is still cached).
+ * Resolves with { entity, attempts }: entity is null when nothing matched, and attempts lists
+ * the classified failure of every entity type that was tried (see classifyResolutionError).
+ */
+function resolveEntity(uuid, options = {}) {
+  const key = `${options.settings?.environmentId || ''}|${options.entityTypeKey || ''}|${options.refresh ? 'refresh' : ''}|${uuid}`;
+  if (pendingResolutions.has(key)) {
+    return pendingResolutions.get(key);
+  }
+
+  const promise = resolveEntityWithCache(uuid, options).finally(() => {
+    pendingResolutions.delete(key);
+  });
+  pendingResolutions.set(key, promise);
+  return promise;
+}
+
+async function resolveEntityWithCache(uuid, options) {
+  const settings = options.settings || await getSettingsForUrl();
+  const forced = getForcedEntityType(settings, options.entityTypeKey);
+  const cached = options.refresh ? null : await getCachedEntity(uuid, settings);
+  // A UUID that collides across types may be cached as another type than the one asked for
+  if (cached && (!forced || cached.type === forced.type)) {
+    debugLog('UUID Resolver: Served from cache:', uuid);
+    return { entity: cached, attempts: [] };
+  }
+
+  const result = await resolveEntityUncached(uuid, settings, options);
+  if (result.entity && !result.entity.fromIndex) { // index hits are instant and carry their own age
+    await setCachedEntity(uuid, result.entity, settings);
+  }
+  return result;
+}
+
+/**
+ * Definition chosen with options.entityTypeKey, even when that type is switched off.
+ * Throws for a key that is no longer defined (e.g. a removed custom type).
+ */
+function getForcedEntityType(settings, entityTypeKey) {
+  if (!entityTypeKey) return null;
+  
+  const definition = getResolverRegistry(settings).find(entityType => entityType.key === entityTypeKey);
+  if (!definition) {
+    throw new Error(`Unknown entity type: ${entityTypeKey}`);
+  }
+  return definition;
+}
+
+async function resolveEntityUncached(uuid, settings, options = {}) {
+  const forced = getForcedEntityType(settings, options.entityTypeKey);
+  const entityTypes = forced ? [forced] : getEntityTypeChain(settings);
+  
+  // Local indexes (tag index, synced catalog) answer without any API call, even offline
+  const indexed = await findInEntityIndexes(uuid, entityTypes, settings);
+  if (indexed) {
+    debugLog(`UUID Resolver: Served from the local ${indexed.subType} index`);
+    return { entity: indexed, attempts: [] };
+  }
+  
+  const headers = await getAuthHeaders(settings);
+  
+  const attempts = [];
+  
+  // A type inferred from the surrounding workflow action is tried on its own first
+  const inferred = forced ? null : inferEntityType(options.context, settings, entityTypes);
+  if (inferred) {
+    debugLog(`UUID Resolver: Context suggests ${inferred.name}`);
+    const entity = await resolveEntityTypesConcurrently(uuid, [inferred], settings, headers, attempts);
+    if (entity || getTypeInferenceMode(settings) === 'only') {
+      return { entity, attempts };
+    }
+  }
+  
+  const remaining = entityTypes.filter(entityType => entityType !== inferred);
+  const entity = await resolveEntityTypesConcurrently(uuid, remaining, settings, headers, attempts);
+  return { entity, attempts };
+}
+
+/**
+ * Fire lookups for all given types at once (makeAPIRequest caps them at maxConcurrentRequests);
+ * the first conclusive hit wins and the remaining requests are aborted.
+ * Failed lookups are classified and appended to `attempts`.
+ */
+async function resolveEntityTypesConcurrently(uuid, entityTypes, settings, headers, attempts) {
+  const controller = new AbortController();
+  
+  const tasks = entityTypes.map(entityType => async (signal) => {
+    try {
+      debugLog(`UUID Resolver: Attempting to resolve as ${entityType.name}...`);
+      const result = await resolveUUID(uuid, entityType.type, { signal, headers, settings });
+      if (result) {
+        debugLog(`UUID Resolver: Successfully resolved as ${entityType.name}:`, result);
+      }
+      return result;
+    } catch (error) {
+      if (!signal.aborted) {
+        debugLog(`UUID Resolver: Failed to resolve as ${entityType.name}:`, error.message);
+        attempts.push({
+          type: entityType.type,
+          name: entityType.name,
+          category: classifyResolutionError(error),
+          status: error.status || null,
+          message: error.message
+        });
+      }
+      return null;
+    }
+  });
+  
+  try {
+    return await resolveFirst(tasks, controller.signal);
+  } finally {
+    controller.abort();
+  }
+}
+
+/**
+ * Resolution diagnostics
+ *
+ * Every failed lookup is classified so the user can tell "this UUID does not exist"
+ * apart from "you lack permission to read profiles" or "the API timed out".
+ */
+const DIAGNOSTIC_LABELS = {
+  'not-found': 'not found',
+  'unauthorized': 'unauthorized (401) - credentials were rejected',
+  'forbidden': 'forbidden (403) - no permission to read this type',
+  'timeout': 'timed out',
+  'network': 'network or CORS error',
+  'malformed': 'unexpected response from the API',
+  'server-error': 'server error or rate limited',
+  'error': 'failed'
+};
+
+// When several errors describe one type (application catalogs), the most actionable one is reported
+const DIAGNOSTIC_PRIORITY = ['unauthorized', 'forbidden', 'timeout', 'network', 'server-error', 'malformed', 'error', 'not-found'];
+
+function classifyResolutionError(error) {
+  const status = error.status;
+  if (status === 404 || error.notFound) return 'not-found';
+  if (status === 401) return 'unauthorized';
+  if (status === 403) return 'forbidden';
+  if (status === 429 || status >= 500) return 'server-error';
+  if (error.malformed) return 'malformed';
+  if (error.timedOut) return 'timeout';
+  if (error.network) return 'network';
+  return 'error';
+}
+
+function pickMostSignificantError(errors) {
+  return errors.slice().sort((a, b) =>
+    DIAGNOSTIC_PRIORITY.indexOf(classifyResolutionError(a)) - DIAGNOSTIC_PRIORITY.indexOf(classifyResolutionError(b))
+  )[0];
+}
+
+function createNotFoundError(message) {
+  const error = new Error(message);
+  error.notFound = true;
+  return error;
+}
+
+/**
+ * One { name, category, label } line per attempted type, for toasts, chips and the popup
+ */
+function describeAttempts(attempts) {
+  return attempts.map(attempt => {
+    let label = DIAGNOSTIC_LABELS[attempt.category] || DIAGNOSTIC_LABELS.error;
+    if (attempt.category === 'server-error' && attempt.status) {
+      label += ` (${attempt.status})`;
+    } else if (attempt.category === 'error') {
+      label += `: ${String(attempt.message || '').slice(0, 120)}`;
+    }
+    return { name: attempt.name, category: attempt.category, label };
+  });
+}
+
+function formatDiagnostics(attempts) {
+  if (!attempts.length) {
+    return 'No entity types were tried.';
+  }
+  
+  const lines = describeAttempts(attempts).map(line => `${line.name}: ${line.label}`);
+  const categories = new Set(attempts.map(attempt => attempt.category));
+  let summary;
+  if (categories.size === 1 && categories.has('not-found')) {
+    summary = 'The UUID was not found in any enabled entity type. It may not exist or may be a type that is not supported yet.';
+  } else if (categories.has('unauthorized') || categories.has('forbidden')) {
+    summary = 'Some lookups were denied, so the UUID may exist in a type you are not allowed to read.';
+  } else {
+    summary = 'Some lookups could not be completed, so the result is inconclusive.';
+  }
+  
+  return `${lines.join('\n')}\n\n${summary}`;
+}
+
+function getFailureTitle(attempts) {
+  return attempts.length && attempts.every(attempt => attempt.category === 'not-found') ? 'UUID Not Found' : 'UUID Not Resolved';
+}
+
+/**
+ * Keep the last failure so the popup can show the per-type breakdown
+ */
+function recordResolutionFailure(uuid, attempts, tab) {
+  chrome.storage.local.set({
+    lastResolutionFailure: {
+      uuid,
+      diagnostics: describeAttempts(attempts),
+      title: getFailureTitle(attempts),
+      timestamp: Date.now(),
+      tabId: tab?.id
+    }
+  });
+}
+
+/**
+ * Type inference
+ *
+ * Rules map a case-insensitive regex to an entity type key (see BUILT_IN_RESOLVERS; the defaults are
+ * in shared/type-inference-rules.js). They are matched
+ * against the captured context field by field (field label, then action title, then node type),
+ * so the label closest to the UUID wins over the action it belongs to.
+ * settings.typeInferenceMode: 'prefer' tries the inferred type first, 'only' tries nothing else, 'off' disables.
+ */
+const CONTEXT_FIELDS = ['fieldLabel', 'actionTitle', 'nodeType'];
+
+function getTypeInferenceMode(settings) {
+  return ['prefer', 'only', 'off'].includes(settings.typeInferenceMode) ? settings.typeInferenceMode : 'prefer';
+}
+
+function getTypeInferenceRules(settings) {
+  return Array.isArray(settings.typeInferenceRules) ? settings.typeInferenceRules : TypeInferenceRules.DEFAULT_RULES;
+}
+
+/**
+ * Pick the entity type suggested by the DOM context, limited to the enabled chain. Returns null if none.
+ */
+function inferEntityType(context, settings, entityTypes) {
+  if (!context || getTypeInferenceMode(settings) === 'off') {
+    return null;
+  }
+  
+  const rules = getTypeInferenceRules(settings);
+  for (const field of CONTEXT_FIELDS) {
+    const text = context[field];
+    if (!text || typeof text !== 'string') continue;
+    
+    for (const rule of rules) {
+      const regex = TypeInferenceRules.compilePattern(rule.pattern);
+      if (regex && regex.test(text)) {
+        const match = entityTypes.find(entityType => entityType.key === rule.entityType);
+        if (match) return match;
+      }
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Run tasks concurrently and resolve with the truthy result of the earliest task in the list, or
+ * null when none succeed. A hit is only accepted once every task before it has missed, so the
+ * order (the saved entity type order) decides between UUIDs found under several types; the
+ * caller aborts the rest. Each task receives the abort signal; rejections count as misses.
+ */
+function resolveFirst(tasks, signal) {
+  return new Promise((resolve) => {
+    const outcomes = new Array(tasks.length); // undefined while pending, then { result }
+    let next = 0; // first task whose outcome is still needed
+    
+    const settle = () => {
+      while (next < tasks.length && outcomes[next]) {
+        if (outcomes[next].result) {
+          resolve(outcomes[next].result);
+          return;
+        }
+        next++;
+      }
+      if (next === tasks.length) resolve(null);
+    };
+    
+    if (tasks.length === 0) {
+      resolve(null);
+      return;
+    }
+    
+    tasks.forEach((task, index) => {
+      Promise.resolve()
+        .then(() => task(signal))
+        .then(result => result || null, () => null)
+        .then(result => {
+          outcomes[index] = { result };
+          settle();
+        });
+    });
+  });
+}
+
+/**
+ * Create an AbortController that also aborts when the parent signal does.
+ * Call controller.unlink() when done to detach from a long-lived parent.
+ */
+function createLinkedAbortController(parentSignal) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  controller.unlink = () => parentSignal?.removeEventListener('abort', onAbort);
+  if (parentSignal) {
+    if (parentSignal.aborted) {
+      controller.abort();
+    } else {
+      parentSignal.addEventListener('abort', onAbort, { once: true });
+    }
+  }
+  return controller;
+}
+
+/**
+ * Resolve a UUID detected on the page for inline annotation (no toasts/notifications). Not counted
+ * in the stats, which count explicit resolutions only
+ */
+async function resolveDetectedUUID(uuid, context, tab) {
+  const settings = await getSettingsForUrl(tab?.url);
+  const configError = getConfigurationError(settings);
+  if (configError) {
+    return { configured: false, error: configError.message };
+  }
+
+  const { entity, attempts } = await resolveEntity(uuid, { context, settings });
+  return { configured: true, entity: maskEntity(entity, settings), diagnostics: entity ? [] : describeAttempts(attempts) };
+}
+
+/**
+ * Resolution history
+ *
+ * Explicit resolutions (context menu, shortcut, omnibox, bulk selections, popup) are kept in
+ * chrome.storage.local under 'resolutionHistory', newest first, one entry per environment and UUID:
+ * { id, uuid, timestamp, tabUrl, environmentId, environmentName, status, entity, title, diagnostics,
+ *   error, pinned }. status is 'resolved', 'not-found', 'failed' or 'error'. The entity is stored
+ * unmasked like the cache and masked when listed. Pinned entries are never pruned.
+ */
+const MAX_HISTORY_ENTRIES = 200;
+
+let historyWriteChain = Promise.resolve();
+
+function createHistoryEntry(uuid, settings, tabUrl, { entity = null, attempts = [], error = null }) {
+  const entry = {
+    id: `${settings.environmentId || 'default'}|${uuid}`,
+    uuid,
+    timestamp: Date.now(),
+    tabUrl: tabUrl || '',
+    environmentId: settings.environmentId || null,
+    environmentName: settings.environmentName || '',
+    status: 'resolved',
+    entity: entity || null
+  };
+  
+  if (error) {
+    entry.status = 'error';
+    entry.error = error.message;
+  } else if (!entity) {
+    entry.title = getFailureTitle(attempts);
+    entry.status = entry.title === 'UUID Not Found' ? 'not-found' : 'failed';
+    entry.diagnostics = describeAttempts(attempts);
+  }
+  return entry;
+}
+
+function readHistory() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['resolutionHistory'], (result) => {
+      resolve(Array.isArray(result.resolutionHistory) ? result.resolutionHistory : []);
+    });
+  });
+}
+
+function updateHistory(mutate) {
+  const run = historyWriteChain.then(async () => {
+    const history = await readHistory();
+    const updated = mutate(history) || history;
+    await new Promise((resolve) => {
+      chrome.storage.local.set({ resolutionHistory: updated }, () => resolve());
+    });
+    return updated;
+  });
+  historyWriteChain = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Add entries at the top, replacing older entries of the same environment and UUID (their pin is kept),
+ * then drop the oldest unpinned entries beyond MAX_HISTORY_ENTRIES
+ */
+function recordHistory(entries) {
+  if (!entries.length) return Promise.resolve();
+  
+  return updateHistory((history) => {
+    const pinned = new Set(history.filter(entry => entry.pinned).map(entry => entry.id));
+    const ids = new Set(entries.map(entry => entry.id));
+    const added = entries.map(entry => ({ ...entry, pinned: pinned.has(entry.id) }));
+    const merged = added.concat(history.filter(entry => !ids.has(entry.id)));
+    
+    let unpinned = 0;
+    return merged.filter(entry => entry.pinned || ++unpinned <= MAX_HISTORY_ENTRIES);
+  }).catch((error) => {
+    console.warn('UUID Resolver: Failed to record history:', error.message);
+  });
+}
+
+/**
+ * History for the popup: pinned entries first, then newest first, with entities masked for display
+ */
+async function getHistory() {
+  const settings = await getSettings();
+  const history = await readHistory();
+  
+  return history
+    .map(entry => ({ ...entry, entity: entry.entity ? maskEntity(entry.entity, settings) : null }))
+    .sort((a, b) => (b.pinned === true) - (a.pinned === true) || b.timestamp - a.timestamp);
+}
+
+function setHistoryEntryPinned(id, pinned) {
+  return updateHistory(history => history.map(entry => entry.id === id ? { ...entry, pinned: !!pinned } : entry));
+}
+
+function deleteHistoryEntry(id) {
+  return updateHistory(history => history.filter(entry => entry.id !== id));
+}
+
+/**
+ * Resolve a history entry again against the API (skipping the cache) in its environment,
+ * and record the new result
+ */
+async function rerunHistoryEntry(id) {
+  const entry = (await readHistory()).find(candidate => candidate.id === id);
+  if (!entry) {
+    throw new Error('History entry not found');
+  }
+  
+  const allSettings = await getSettings();
+  const environment = getEnvironments(allSettings).find(candidate => candidate.id === entry.environmentId) ||
+    selectEnvironment(allSettings, entry.tabUrl);
+  const settings = applyEnvironment(allSettings, environment);
+  const configError = getConfigurationError(settings);
+  if (configError) {
+    throw new Error(configError.message);
+  }
+  
+  let updated;
+  try {
+    const { entity, attempts } = await resolveEntity(entry.uuid, { settings, refresh: true });
+    updated = createHistoryEntry(entry.uuid, settings, entry.tabUrl, { entity, attempts });
+  } catch (error) {
+    updated = createHistoryEntry(entry.uuid, settings, entry.tabUrl, { error });
+  }
+  await recordHistory([updated]);
+  return { ...updated, pinned: !!entry.pinned, entity: updated.entity ? maskEntity(updated.entity, settings) : null };
+}
+
+/**
+ * Resolution cache
+ *
+ * Stored in chrome.storage.local under 'resolutionCache' as
+ * { [serverUrl|organizationGroupId|uuid]: { uuid, serverUrl, organizationGroupId, entity, cachedAt } }.
+ * Only successful resolutions are cached; entries older than settings.cacheTtl are ignored and pruned.
+ */
+const DEFAULT_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const MAX_CACHE_ENTRIES = 2000;
+
+// Serializes read-modify-write cycles on the cache so parallel resolutions do not drop entries
+let cacheWriteChain = Promise.resolve();
+
+function getCacheTtl(settings) {
+  if (settings.cacheTtl === undefined || settings.cacheTtl === null) return DEFAULT_CACHE_TTL;
+  const ttl = Number(settings.cacheTtl);
+  return Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_CACHE_TTL;
+}
+
+function getCacheKey(uuid, settings) {
+  const serverUrl = (settings.serverUrl || '').replace(/\/+$/, '').toLowerCase();
+  return `${serverUrl}|${settings.organizationGroupId || ''}|${uuid}`;
+}
+
+function readResolutionCache() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['resolutionCache'], (result) => {
+      resolve(result.resolutionCache || {});
+    });
+  });
+}
+
+function writeResolutionCache(cache) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.set({ resolutionCache: cache }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+function updateResolutionCache(mutate) {
+  const run = cacheWriteChain.then(async () => {
+    const cache = await readResolutionCache();
+    const result = mutate(cache);
+    await writeResolutionCache(cache);
+    return result;
+  });
+  cacheWriteChain = run.catch(() => {});
+  return run;
+}
+
+function isCacheEntryFresh(entry, ttl) {
+  return !!entry && ttl > 0 && Date.now() - entry.cachedAt < ttl;
+}
+
+async function getCachedEntity(uuid, settings) {
+  const ttl = getCacheTtl(settings);
+  if (ttl === 0) return null;
+
+  const cache = await readResolutionCache();
+  const entry = cache[getCacheKey(uuid, settings)];
+  if (!isCacheEntryFresh(entry, ttl)) return null;
+
+  return { ...entry.entity, cachedAt: entry.cachedAt, fromCache: true };
+}
+
+async function setCachedEntity(uuid, entity, settings) {
+  const ttl = getCacheTtl(settings);
+  if (ttl === 0) return;
+
+  try {
+    await updateResolutionCache((cache) => {
+      cache[getCacheKey(uuid, settings)] = {
+        uuid,
+        serverUrl: settings.serverUrl,
+        organizationGroupId: settings.organizationGroupId || null,
+        entity,
+        cachedAt: Date.now()
+      };
+      pruneResolutionCache(cache, ttl);
+    });
+  } catch (error) {
+    console.warn('UUID Resolver: Failed to write resolution cache:', error.message);
+  }
+}
+
+/**
+ * Drop expired entries, then the oldest ones beyond MAX_CACHE_ENTRIES
+ */
+function pruneResolutionCache(cache, ttl) {
+  for (const [key, entry] of Object.entries(cache)) {
+    if (!isCacheEntryFresh(entry, ttl)) delete cache[key];
+  }
+
+  const keys = Object.keys(cache);
+  if (keys.length > MAX_CACHE_ENTRIES) {
+    keys
+      .sort((a, b) => cache[a].cachedAt - cache[b].cachedAt)
+      .slice(0, keys.length - MAX_CACHE_ENTRIES)
+      .forEach((key) => delete cache[key]);
+  }
+}
+
+/**
+ * List cache entries for the options page, newest first
+ */
+async function getCacheEntries() {
+  const settings = await getSettings();
+  const ttl = getCacheTtl(settings);
+  const cache = await readResolutionCache();
+
+  return Object.entries(cache)
+    .map(([key, entry]) => ({
+      key,
+      uuid: entry.uuid,
+      name: maskEntity(entry.entity, settings)?.name,
+      type: entry.entity?.subType || entry.entity?.type,
+      serverUrl: entry.serverUrl,
+      organizationGroupId: entry.organizationGroupId,
+      cachedAt: entry.cachedAt,
+      expiresAt: entry.cachedAt + ttl,
+      expired: !isCacheEntryFresh(entry, ttl)
+    }))
+    .sort((a, b) => b.cachedAt - a.cachedAt);
+}
+
+function evictCacheEntry(key) {
+  return updateResolutionCache((cache) => {
+    delete cache[key];
+  });
+}
+
+function clearResolutionCache() {
+  return updateResolutionCache((cache) => {
+    Object.keys(cache).forEach((key) => delete cache[key]);
+  });
+}
+
+/**
+ * Robust notification creator with fallback icon and error handling
+ */
+function createNotification(options, onError) {
+  const defaultOptions = {
+    type: 'basic',
+    title: 'UUID Resolver',
+    message: '',
+    iconUrl: chrome.runtime.getURL('icons/icon-48.png')
+  };
+
+  const merged = { ...defaultOptions, ...options };
+
+  // Ensure required fields exist
+  if (!merged.type) merged.type = 'basic';
+  if (!merged.title) merged.title = 'UUID Resolver';
+  if (!merged.message) merged.message = ' ';
+  if (!merged.iconUrl) merged.iconUrl = chrome.runtime.getURL('icons/icon-48.png');
+
+  chrome.notifications.create('', merged, (id) => {
+    const err = chrome.runtime.lastError;
+    if (err) {
+      console.warn('UUID Resolver: Notification error, retrying with data URL icon:', err.message);
+      // Fallback with tiny transparent PNG data URL
+      const fallbackIcon = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVQIW2P8/5+hHgAHggJ/Pvx4GQAAAABJRU5ErkJggg==';
+      const fallback = { ...merged, iconUrl: fallbackIcon };
+      chrome.notifications.create('', fallback, () => {
+        const err2 = chrome.runtime.lastError;
+        if (err2) {
+          console.error('UUID Resolver: Fallback notification failed:', err2.message);
+          if (typeof onError === 'function') {
+            try { onError(err2); } catch (_) {}
+          }
+        }
+      });
+    }
+  });
+}
+
+/**
+ * Show entity details in a notification or popup
+ */
+function showEntityDetails(entityData, tab) {
+  const { uuid, name, type, subType, description } = entityData;
+  
+  // Ensure we have valid values
+  const entityName = name || 'Unknown';
+  const entityType = subType || type || 'Unknown Type';
+  const entityUuid = uuid || 'Unknown UUID';
+  
+  // Create detailed message
+  let message = `Name: ${entityName}\nType: ${entityType}\n`;
+  if (description && description !== 'undefined' && description !== 'null') {
+    message += `Description: ${description}\n`;
+  }
+  message += `UUID: ${entityUuid}`;
+  
+  // Store details for popup access
+  chrome.storage.local.set({
+    'lastResolvedEntity': {
+      ...entityData,
+      timestamp: Date.now(),
+      tabId: tab?.id
+    }
+  });
+
+  // Stats: increment totalResolved
+  incrementStat('totalResolved');
+  
+  // Show notification via helper (best-effort)
+  createNotification({
+    title: `✅ ${entityType} Found`,
+    message
+  });
+
+  // Also send to content script to show an in-page toast (visible fallback)
+  if (tab?.id) {
+    try {
+      chrome.tabs.sendMessage(tab.id, { action: 'displayResolvedEntity', data: entityData, persist: true });
+    } catch (e) {
+      console.warn('UUID Resolver: Failed to send in-page toast message:', e?.message);
+    }
+  }
+  
+  debugLog('UUID Resolver: Entity details displayed:', entityData);
+}
+
+/**
+ * Show error/informational notification
+ */
+function showNotification(title, message, tab, opts = {}) {
+  const notificationTitle = title || 'UUID Resolver';
+  const notificationMessage = message || ' ';
+  createNotification({ title: notificationTitle, message: notificationMessage }, (err) => {
+    // If notifications fail (e.g., icon load issues or OS blocked), we'll also send toast below
+  });
+
+  // Always send an in-page toast for colored UI and visibility
+  const tabId = tab?.id;
+  if (tabId) {
+    try {
+      chrome.tabs.sendMessage(tabId, {
+        action: 'displayExtensionMessage',
+        title: notificationTitle,
+        message: notificationMessage,
+        level: opts.level || 'info',
+        persist: !!opts.persist
+      });
+    } catch (e) {
+      console.warn('UUID Resolver: Failed to send fallback toast message:', e?.message || e);
+    }
+  }
+}
+
+/**
+ * Message handling from content scripts and popups
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  debugLog('UUID Resolver: Received message:', message);
+  
+  try {
+    switch (message.action) {
+      case 'getSettings':
         getSettings().then(settings => {
           sendResponse({ success: true, data: settings });
         }).catch(error => {
@@ -305,11 +1626,121 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         });
         return true;
       
+      case 'resolveDetectedUUID':
+        resolveDetectedUUID(String(message.uuid || '').toLowerCase(), message.context, sender.tab).then(result => {
+          sendResponse({ success: true, data: result });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+        return true;
+      
+      case 'resolvePastedText':
+        resolvePastedText(message.text, message.url).then(result => {
+          sendResponse({ success: true, data: result });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+        return true;
+      
+      case 'getHistory':
+        getHistory().then(history => {
+          sendResponse({ success: true, data: history });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+        return true;
+      
+      case 'pinHistoryEntry':
+        setHistoryEntryPinned(message.id, message.pinned).then(() => {
+          sendResponse({ success: true });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+        return true;
+      
+      case 'deleteHistoryEntry':
+        deleteHistoryEntry(message.id).then(() => {
+          sendResponse({ success: true });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+        return true;
+      
+      case 'rerunHistoryEntry':
+        rerunHistoryEntry(message.id).then(entry => {
+          sendResponse({ success: true, data: entry });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+        return true;
+      
+      case 'getCacheEntries':
+        getCacheEntries().then(entries => {
+          sendResponse({ success: true, data: entries });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+        return true;
+      
+      case 'evictCacheEntry':
+        evictCacheEntry(message.key).then(() => {
+          sendResponse({ success: true });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+        return true;
+      
+      case 'clearCache':
+        Promise.all([clearResolutionCache(), clearEntityIndexes()]).then(() => {
+          sendResponse({ success: true });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+        return true;
+      
+      case 'getTokenStatus':
+        getTokenStatus({ url: message.url, environmentId: message.environmentId }).then(status => {
+          sendResponse({ success: true, data: status });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+        return true;
+      
+      case 'getSettingsForUrl':
+        getSettingsForUrl(message.url).then(settings => {
+          sendResponse({ success: true, data: settings });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+        return true;
+      
+      case 'syncCatalog':
+        syncCatalog().then(status => {
+          sendResponse({ success: true, data: status });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+        return true;
+      
+      case 'getCatalogStatus':
+        getCatalogSyncStatus().then(status => {
+          sendResponse({ success: true, data: entityIndexStorageError ? { ...status, storageError: entityIndexStorageError } : status });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+        return true;
+      
       case 'getLastResolvedEntity':
         chrome.storage.local.get(['lastResolvedEntity'], (result) => {
           sendResponse({ success: true, data: result.lastResolvedEntity });
         });
         return true;
+      
+      case 'getLastResolutionFailure':
+        chrome.storage.local.get(['lastResolutionFailure'], (result) => {
+          sendResponse({ success: true, data: result.lastResolutionFailure });
+        });
+        return true;
 
       case 'getStatistics':
         getStatistics().then((stats) => {
@@ -344,29 +1775,112 @@ async function initializeExtension() {
 }
 
 /**
- * Get extension settings
+ * Get extension settings
+ */
+async function getSettings() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get(null, (result) => {
+      resolve(result);
+    });
+  });
+}
+
+/**
+ * Save extension settings
+ */
+async function saveSettings(settings) {
+  return new Promise((resolve, reject) => {
+    chrome.storage.sync.set(settings, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Environment profiles
+ *
+ * settings.environments is a list of named profiles, each with its own server, auth and OG
+ * ({ id, name, hostPatterns, serverUrl, organizationGroupId, authType, ... }).
+ * settings.defaultEnvironmentId names the profile used when no host pattern matches the tab.
+ * The flat serverUrl/auth fields mirror the default profile, so settings saved before
+ * profiles existed keep working as a single implicit environment.
+ */
+const ENVIRONMENT_FIELDS = [
+  'serverUrl', 'consoleUrl', 'organizationGroupId', 'authType',
+  'username', 'password', 'apiKey',
+  'clientId', 'clientSecret', 'tokenUrl'
+];
+
+function getEnvironments(settings) {
+  if (Array.isArray(settings.environments) && settings.environments.length > 0) {
+    return settings.environments;
+  }
+
+  const implicit = { id: 'default', name: 'Default', hostPatterns: [] };
+  ENVIRONMENT_FIELDS.forEach((field) => {
+    implicit[field] = settings[field];
+  });
+  return [implicit];
+}
+
+/**
+ * Match a hostname against a host pattern: '*' matches any run of characters,
+ * so '*.awmdm.com' covers 'cn1234.awmdm.com'. Matching is case-insensitive.
+ */
+function matchesHostPattern(hostname, pattern) {
+  const trimmed = String(pattern || '').trim().toLowerCase();
+  if (!trimmed || !hostname) return false;
+
+  const source = trimmed
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`).test(hostname.toLowerCase());
+}
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (_) {
+    return '';
+  }
+}
+
+/**
+ * Pick the environment for a page: the first profile with a host pattern matching
+ * the page host, otherwise the default profile, otherwise the first one.
  */
-async function getSettings() {
-  return new Promise((resolve) => {
-    chrome.storage.sync.get(null, (result) => {
-      resolve(result);
-    });
-  });
+function selectEnvironment(settings, url) {
+  const environments = getEnvironments(settings);
+  const hostname = getHostname(url);
+
+  const matched = hostname && environments.find(environment =>
+    (environment.hostPatterns || []).some(pattern => matchesHostPattern(hostname, pattern))
+  );
+  if (matched) return matched;
+
+  return environments.find(environment => environment.id === settings.defaultEnvironmentId) || environments[0];
 }
 
 /**
- * Save extension settings
+ * Settings with the environment for the given page URL applied over the flat fields.
+ * Without a URL (popup, options page) the default environment is used.
  */
-async function saveSettings(settings) {
-  return new Promise((resolve, reject) => {
-    chrome.storage.sync.set(settings, () => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else {
-        resolve();
-      }
-    });
+async function getSettingsForUrl(url) {
+  const settings = await getSettings();
+  return applyEnvironment(settings, selectEnvironment(settings, url));
+}
+
+function applyEnvironment(settings, environment) {
+  const effective = { ...settings, environmentId: environment.id, environmentName: environment.name };
+  ENVIRONMENT_FIELDS.forEach((field) => {
+    effective[field] = environment[field];
   });
+  return effective;
 }
 
 /**
@@ -376,6 +1890,7 @@ async function setDefaultSettings() {
   const defaultSettings = {
     // Core server/auth
     serverUrl: '',
+    consoleUrl: '', // Admin console for "Open in UEM console"; derived from serverUrl when empty
     organizationGroupId: null,
     authType: 'basic',
     username: '',
@@ -387,9 +1902,13 @@ async function setDefaultSettings() {
 
     // General settings
     showTooltips: true, // Show extra fields in success toast
+    maskedFields: DEFAULT_MASKED_FIELDS, // PII hidden in device/user results
+    autoAnnotate: true, // Detect UUIDs on the page and show resolved names inline
+    hoverTooltips: false, // Tooltip with the resolved entity when hovering over a UUID
 
     // Advanced settings
-    apiTimeout: 30000
+    apiTimeout: 30000,
+    cacheTtl: DEFAULT_CACHE_TTL
   };
 
   return new Promise((resolve, reject) => {
@@ -404,250 +1923,1163 @@ async function setDefaultSettings() {
 }
 
 /**
- * Resolve UUID by entity type (sets auth headers and dispatches)
+ * Resolve UUID by entity type (sets auth headers and dispatches)
+ *
+ * options.signal aborts the lookup; options.headers and options.settings let callers
+ * that fan out over several types reuse one set of auth headers.
+ */
+async function resolveUUID(uuid, entityType, options = {}) {
+  const settings = options.settings || await getSettingsForUrl();
+  const { serverUrl } = settings;
+
+  if (!serverUrl) {
+    throw new Error('Server URL not configured. Please configure the extension in the options page.');
+  }
+
+  const headers = options.headers || await getAuthHeaders(settings);
+  const requestOptions = {
+    signal: options.signal,
+    maxConcurrentRequests: settings.maxConcurrentRequests,
+    timeout: settings.apiTimeout
+  };
+
+  return await withAuthRetry(settings, headers, (authHeaders) =>
+    dispatchResolver(uuid, entityType, serverUrl, authHeaders, settings, requestOptions)
+  );
+}
+
+/**
+ * Dispatch to the registry definition for an entity type
+ */
+async function dispatchResolver(uuid, entityType, serverUrl, headers, settings, requestOptions) {
+  const definition = getResolverRegistry(settings).find(candidate => candidate.type === entityType);
+  if (!definition) {
+    throw new Error(`Unsupported entity type: ${entityType}`);
+  }
+  
+  return await resolveWithDefinition(uuid, definition, serverUrl, headers, settings, requestOptions);
+}
+
+/**
+ * Build request headers for the configured authentication type
+ */
+async function getAuthHeaders(settings) {
+  const { authType } = settings;
+
+  let headers = {
+    'Accept': 'application/json',
+    'Content-Type': 'application/json'
+  };
+
+  // Set up authentication
+  if (authType === 'basic') {
+    const { username, password, apiKey } = settings;
+    if (!username || !password || !apiKey) {
+      throw new Error('Basic authentication not properly configured: username, password, and API key (tenant code) are required');
+    }
+
+    const credentials = btoa(`${username}:${password}`);
+    headers['Authorization'] = `Basic ${credentials}`;
+    headers['aw-tenant-code'] = apiKey; // required for Basic auth
+  } else if (authType === 'oauth') {
+    const { clientId, clientSecret, tokenUrl } = settings;
+    if (!clientId || !clientSecret || !tokenUrl) {
+      throw new Error('OAuth not properly configured');
+    }
+
+    const token = await getOAuthToken(clientId, clientSecret, tokenUrl);
+    headers['Authorization'] = `Bearer ${token}`;
+  } else {
+    throw new Error(`Unsupported auth type: ${authType}`);
+  }
+
+  return headers;
+}
+
+/**
+ * Read a value by path ('Id.Value' reads nested fields)
+ */
+function readPath(record, path) {
+  return path.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), record);
+}
+
+/**
+ * First path among the given paths with a non-empty value
+ */
+function findFieldPath(record, paths) {
+  return (paths || []).find((path) => {
+    const value = readPath(record, path);
+    return value !== undefined && value !== null && value !== '';
+  });
+}
+
+/**
+ * First non-empty value among the given paths
+ */
+function pickField(record, paths) {
+  const path = findFieldPath(record, paths);
+  return path === undefined ? undefined : readPath(record, path);
+}
+
+/**
+ * Build the request URL for an endpoint template
+ */
+function buildResolverUrl(baseURL, endpoint, query, vars) {
+  const substitute = (template) => String(template)
+    .replace(/\{(uuid|ogId|ogUuid|since)\}/g, (match, name) => (vars[name] ? encodeURIComponent(vars[name]) : ''));
+  
+  const params = Object.entries(query || {})
+    .map(([param, template]) => [param, substitute(template)])
+    .filter(([, value]) => value !== '')
+    .map(([param, value]) => `${encodeURIComponent(param)}=${value}`);
+  
+  return `${baseURL}${substitute(endpoint)}${params.length ? `?${params.join('&')}` : ''}`;
+}
+
+function withApiVersion(headers, version) {
+  return version ? { ...headers, 'Accept': `application/json;version=${version}` } : headers;
+}
+
+function usesTemplateVariable(source, name) {
+  return JSON.stringify([source.endpoints, source.query || {}]).includes(`{${name}}`);
+}
+
+// serverUrl|ogId -> UUID of the Organization Group, for {ogUuid} endpoints
+const organizationGroupUuids = new Map();
+
+/**
+ * UUID of the configured Organization Group (some list endpoints take the OG UUID instead of its ID)
+ */
+async function getOrganizationGroupUuid(settings, baseURL, headers, requestOptions) {
+  const orgGroupId = settings.organizationGroupId;
+  if (!orgGroupId) {
+    throw new Error('Organization Group ID is required');
+  }
+  
+  const key = getCacheKey('', settings);
+  if (!organizationGroupUuids.has(key)) {
+    const response = await makeAPIRequest(
+      `${baseURL}/system/groups/${encodeURIComponent(orgGroupId)}`,
+      withApiVersion(headers, 2),
+      requestOptions
+    );
+    const ogUuid = response.Uuid || response.uuid;
+    if (!ogUuid) {
+      const error = new Error('Organization Group response has no UUID');
+      error.malformed = true;
+      throw error;
+    }
+    organizationGroupUuids.set(key, ogUuid);
+  }
+  return organizationGroupUuids.get(key);
+}
+
+/**
+ * Map an API record to the entity shown in toasts, chips and the popup.
+ * Returns null when the record has no name and the definition has no fallback.
+ */
+function buildEntity(uuid, definition, record) {
+  const namePath = findFieldPath(record, definition.nameFields);
+  const name = (namePath === undefined ? undefined : readPath(record, namePath)) || definition.fallbackName;
+  if (!name) return null;
+  // A name read from a personal-data field is masked with that field, e.g. a user named by UserName
+  const nameSource = (definition.fields || []).find(field => field.pii && (field.paths || []).includes(namePath));
+  const nameMaskKey = nameSource ? nameSource.key : definition.nameMaskKey;
+  
+  const entity = {
+    uuid: uuid,
+    name: String(name),
+    type: definition.type,
+    subType: definition.subType || definition.name,
+    description: pickField(record, definition.descriptionFields)
+  };
+  const id = pickField(record, definition.idFields);
+  if (id !== undefined && typeof id !== 'object') entity.id = id;
+  
+  const details = [];
+  const piiFields = [];
+  (definition.fields || []).forEach(field => {
+    const raw = pickField(record, field.paths);
+    if (raw === undefined) return;
+    const value = field.values && Object.prototype.hasOwnProperty.call(field.values, raw) ? field.values[raw] : raw;
+    entity[field.key] = value;
+    if (field.label && typeof value !== 'object') {
+      details.push({ key: field.key, label: field.label, value: String(value) });
+    }
+    if (field.pii) piiFields.push(field.key);
+  });
+  if (details.length) entity.details = details;
+  if (nameMaskKey) piiFields.push('name');
+  if (piiFields.length) {
+    entity.piiFields = piiFields;
+    entity.nameMaskKey = nameMaskKey;
+  }
+  
+  return entity;
+}
+
+/**
+ * Admin console origin: settings.consoleUrl, or the API server with the "as" host prefix of
+ * SaaS tenants swapped for the console's "cn" (as1234.awmdm.com -> cn1234.awmdm.com)
+ */
+function getConsoleOrigin(settings) {
+  try {
+    if (settings.consoleUrl) {
+      return new URL(settings.consoleUrl).origin;
+    }
+    const url = new URL(settings.serverUrl);
+    url.hostname = url.hostname.replace(/^as(\d+)\./i, 'cn$1.');
+    return url.origin;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Deep link to the entity's page in the admin console, or null when the type has no consoleLink
+ * or the link needs an ID the API did not return
+ */
+function getConsoleUrl(entity, settings) {
+  const definition = getResolverRegistry(settings).find(candidate => candidate.type === entity.type);
+  const origin = getConsoleOrigin(settings);
+  if (!definition?.consoleLink || !origin) return null;
+  if (definition.consoleLink.includes('{id}') && (entity.id === undefined || entity.id === null)) return null;
+  
+  const values = { id: entity.id, uuid: entity.uuid, ogId: settings.organizationGroupId };
+  const path = definition.consoleLink.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in values ? encodeURIComponent(values[name] ?? '') : placeholder);
+  return `${origin}${path}`;
+}
+
+/**
+ * PII masking
+ *
+ * Device and user results carry personal data. Fields whose key is listed in settings.maskedFields
+ * are masked before an entity leaves the service worker (toasts, chips, notifications, popup);
+ * the cache keeps the full record so changing the setting applies to cached results as well.
+ */
+const DEFAULT_MASKED_FIELDS = ['serialNumber', 'email'];
+
+function getMaskedFields(settings) {
+  return Array.isArray(settings.maskedFields) ? settings.maskedFields : DEFAULT_MASKED_FIELDS;
+}
+
+/**
+ * "C02XK1ABJHD5" -> "C•••D5", "jane.doe@example.com" -> "j•••@example.com"
+ */
+function maskValue(value) {
+  const text = String(value);
+  const at = text.indexOf('@');
+  if (at > 0) {
+    return `${text[0]}•••${text.slice(at)}`;
+  }
+  return text.length <= 4 ? '••••' : `${text[0]}•••${text.slice(-2)}`;
+}
+
+function maskEntity(entity, settings) {
+  if (!entity || !Array.isArray(entity.piiFields)) return entity;
+  
+  const masked = getMaskedFields(settings);
+  const isMasked = (key) => entity.piiFields.includes(key) && masked.includes(key === 'name' ? entity.nameMaskKey : key);
+  if (!entity.piiFields.some(isMasked)) return entity;
+  
+  const result = { ...entity, masked: true };
+  entity.piiFields.forEach((key) => {
+    if (isMasked(key) && result[key] !== undefined) result[key] = maskValue(result[key]);
+  });
+  if (Array.isArray(entity.details)) {
+    result.details = entity.details.map(detail => (isMasked(detail.key) ? { ...detail, value: maskValue(detail.value) } : detail));
+  }
+  return result;
+}
+
+/**
+ * Resolve a UUID with a registry definition. Several endpoints are queried in parallel
+ * (first hit aborts the others); when none matches, the most actionable failure is thrown
+ * so a rejected token surfaces first and can be refreshed.
+ */
+async function resolveWithDefinition(uuid, definition, baseURL, headers, settings, requestOptions = {}) {
+  const orgGroupId = settings.organizationGroupId;
+  if (definition.requiresOrganizationGroup && !orgGroupId) {
+    throw new Error(`Organization Group ID is required for ${definition.name} resolution`);
+  }
+  
+  if (definition.lookup === 'index') {
+    return await resolveFromEntityIndex(uuid, definition, baseURL, headers, settings, requestOptions);
+  }
+  
+  // Synced catalog first: instant, and still answers while the API is unreachable
+  if (definition.catalog) {
+    const indexed = await getIndexedEntity(uuid, definition, settings);
+    if (indexed) return indexed;
+  }
+  
+  const requestHeaders = withApiVersion(headers, definition.version);
+  const ogUuid = usesTemplateVariable(definition, 'ogUuid')
+    ? await getOrganizationGroupUuid(settings, baseURL, headers, requestOptions)
+    : undefined;
+  
+  const controller = createLinkedAbortController(requestOptions.signal);
+  const errors = [];
+  const tasks = definition.endpoints.map(endpoint => async (signal) => {
+    const url = buildResolverUrl(baseURL, endpoint, definition.query, { uuid, ogId: orgGroupId, ogUuid });
+    const response = await makeAPIRequest(url, requestHeaders, { ...requestOptions, signal }).catch(error => {
+      errors.push(error);
+      throw error;
+    });
+    
+    let record = response;
+    if (definition.lookup === 'list') {
+      const list = definition.listPath ? readPath(response, definition.listPath) : response;
+      record = (Array.isArray(list) ? list : []).find(item =>
+        definition.matchFields.some(field => String(readPath(item, field) ?? '').toLowerCase() === uuid)
+      );
+      if (!record) {
+        errors.push(createNotFoundError(`${definition.name} not found`));
+        return null;
+      }
+    }
+    
+    const entity = buildEntity(uuid, definition, record);
+    if (!entity) {
+      const malformedError = new Error(`${definition.name} response from ${endpoint} has no name`);
+      malformedError.malformed = true;
+      errors.push(malformedError);
+    }
+    return entity;
+  });
+  
+  let result;
+  try {
+    result = await resolveFirst(tasks, controller.signal);
+  } finally {
+    controller.abort();
+    controller.unlink();
+  }
+  
+  if (result) {
+    return result;
+  }
+  
+  throw errors.length ? pickMostSignificantError(errors) : createNotFoundError(`${definition.name} not found`);
+}
+
+/**
+ * Entity index
+ *
+ * 'index' lookups (tags) and catalog sources page through the whole list endpoint, for the
+ * configured OG and, with settings.indexChildOrganizationGroups, its child OGs, and keep the
+ * records indexed by every match field (Id.Value and Uuid for tags). Indexes live in memory and in chrome.storage.local
+ * under 'entityIndexes' as { [indexKey]: { records, updatedAt, rebuiltAt, complete } }.
+ * A hit is returned at once; if the index is older than ENTITY_INDEX_MAX_AGE it is refreshed in the
+ * background. Sources with a deltaQuery refresh incrementally: only records modified since the last
+ * refresh are listed and merged into the index. A full pass, which also drops deleted records, runs
+ * when there is no complete index yet, without a deltaQuery, or once ENTITY_INDEX_REBUILD_AGE has
+ * passed. A miss on a complete index waits only for the incremental refresh (the full pass then runs
+ * in the background); otherwise it waits for the full pass, which merges page by page so lookups
+ * see new pages as they arrive.
+ */
+const ENTITY_INDEX_MAX_AGE = 15 * 60 * 1000; // 15 minutes
+const ENTITY_INDEX_REBUILD_AGE = 24 * 60 * 60 * 1000; // full pass at least daily
+const ENTITY_INDEX_DELTA_OVERLAP = 5 * 60 * 1000; // covers clock skew between browser and server
+const DEFAULT_INDEX_PAGE_SIZE = 500;
+const MAX_INDEX_PAGES = 200; // safety stop for endpoints that ignore paging
+
+const entityIndexes = new Map(); // indexKey -> { records, keys: Map(match value -> record), updatedAt, rebuiltAt, complete }
+const entityIndexRefreshes = new Map(); // indexKey|mode -> in-flight refresh, shared by parallel lookups
+let entityIndexesLoaded = null;
+let indexWriteChain = Promise.resolve();
+let entityIndexStorageError = null; // { message, at } of the last failed index write, shown in the UI
+
+function getEntityIndexKey(definition, settings) {
+  const scope = settings.indexChildOrganizationGroups ? 'children' : 'og';
+  return `${definition.key}|${getCacheKey(scope, settings)}`;
+}
+
+function createEntityIndex(records = [], updatedAt = 0, complete = false, rebuiltAt = updatedAt) {
+  const index = { records: [], keys: new Map(), updatedAt, rebuiltAt, complete };
+  records.forEach(record => addToEntityIndex(index, record));
+  return index;
+}
+
+function addToEntityIndex(index, record) {
+  index.records.push(record);
+  record.matchValues.forEach(value => index.keys.set(value, record));
+}
+
+function loadEntityIndexes() {
+  if (!entityIndexesLoaded) {
+    entityIndexesLoaded = new Promise((resolve) => {
+      chrome.storage.local.get(['entityIndexes'], (result) => {
+        Object.entries(result.entityIndexes || {}).forEach(([indexKey, stored]) => {
+          if (!entityIndexes.has(indexKey) && Array.isArray(stored.records)) {
+            entityIndexes.set(indexKey, createEntityIndex(stored.records, stored.updatedAt, stored.complete, stored.rebuiltAt ?? stored.updatedAt));
+          }
+        });
+        resolve();
+      });
+    });
+  }
+  return entityIndexesLoaded;
+}
+
+function updateStoredEntityIndexes(mutate) {
+  const run = indexWriteChain.then(() => new Promise((resolve, reject) => {
+    chrome.storage.local.get(['entityIndexes'], (result) => {
+      const stored = result.entityIndexes || {};
+      mutate(stored);
+      chrome.storage.local.set({ entityIndexes: stored }, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve();
+        }
+      });
+    });
+  }));
+  indexWriteChain = run.catch(() => {});
+  return run;
+}
+
+function clearEntityIndexes() {
+  entityIndexes.clear();
+  return updateStoredEntityIndexes((stored) => {
+    Object.keys(stored).forEach((indexKey) => delete stored[indexKey]);
+  });
+}
+
+/**
+ * Index record for a list item: the display entity (without uuid) plus the lowercased match values
+ */
+function toIndexRecord(definition, item) {
+  const matchValues = definition.matchFields
+    .map(field => readPath(item, field))
+    .filter(value => value !== undefined && value !== null && value !== '')
+    .map(value => String(value).toLowerCase());
+  if (matchValues.length === 0) return null;
+  
+  const entity = buildEntity('', definition, item);
+  if (!entity) return null;
+  delete entity.uuid;
+  return { ...entity, matchValues };
+}
+
+/**
+ * Entity for an index hit. fromIndex/indexedAt tell the UI where it came from; stale marks records
+ * older than twice the catalog sync interval (e.g. while the API has been unreachable).
+ */
+function toIndexedEntity(record, uuid, index, settings) {
+  const { matchValues, ...entity } = record;
+  return {
+    uuid,
+    ...entity,
+    fromIndex: true,
+    indexedAt: index.updatedAt,
+    stale: !!index.updatedAt && Date.now() - index.updatedAt > getCatalogSyncInterval(settings) * 2
+  };
+}
+
+/**
+ * The list source an index is built from: the definition itself for 'index' lookups,
+ * otherwise its catalog source layered over it
+ */
+function getIndexSource(definition) {
+  if (definition.lookup === 'index') return definition;
+  if (!definition.catalog) return null;
+  return { ...definition, ...definition.catalog, lookup: 'index' };
+}
+
+/**
+ * The configured OG, plus its child OGs when enabled (falls back to the OG alone on failure)
+ */
+async function getIndexOrganizationGroups(source, settings, baseURL, headers, requestOptions) {
+  const orgGroupId = settings.organizationGroupId;
+  if (!usesTemplateVariable(source, 'ogId') && !usesTemplateVariable(source, 'ogUuid')) {
+    return [orgGroupId]; // tenant-wide list
+  }
+  if (!settings.indexChildOrganizationGroups || !orgGroupId) {
+    return [orgGroupId];
+  }
+  
+  try {
+    const response = await makeAPIRequest(`${baseURL}/system/groups/${encodeURIComponent(orgGroupId)}/children`, headers, requestOptions);
+    const children = (Array.isArray(response) ? response : response.OrganizationGroups || [])
+      .map(group => group.Id?.Value ?? group.Id ?? group.id)
+      .filter(id => id !== undefined && id !== null);
+    return [orgGroupId, ...children].filter((id, index, list) => list.findIndex(other => String(other) === String(id)) === index);
+  } catch (error) {
+    console.warn('UUID Resolver: Could not list child Organization Groups:', error.message);
+    return [orgGroupId];
+  }
+}
+
+/**
+ * 'delta' when the index can be refreshed incrementally, otherwise 'full'
+ */
+function getIndexRefreshMode(index, source) {
+  const rebuildDue = !index || !index.complete || Date.now() - index.rebuiltAt >= ENTITY_INDEX_REBUILD_AGE;
+  return source.deltaQuery && !rebuildDue ? 'delta' : 'full';
+}
+
+/**
+ * Page through the list endpoints for every OG. A full pass rebuilds the index; a delta pass lists
+ * the records modified since the last refresh and merges them into it.
+ */
+async function refreshEntityIndex(indexKey, source, baseURL, headers, settings, requestOptions, mode = 'full') {
+  const pageSize = source.pageSize || DEFAULT_INDEX_PAGE_SIZE;
+  const listHeaders = withApiVersion(headers, source.version);
+  const orgGroupIds = await getIndexOrganizationGroups(source, settings, baseURL, headers, requestOptions);
+  const previous = entityIndexes.get(indexKey);
+  const delta = mode === 'delta' && !!previous;
+  const since = delta ? new Date(previous.updatedAt - ENTITY_INDEX_DELTA_OVERLAP).toISOString() : undefined;
+  const startedAt = Date.now();
+  
+  if (!previous) {
+    entityIndexes.set(indexKey, createEntityIndex());
+  }
+  const seen = [];
+  
+  for (const orgGroupId of orgGroupIds) {
+    const ogUuid = usesTemplateVariable(source, 'ogUuid')
+      ? await getOrganizationGroupUuid({ ...settings, organizationGroupId: orgGroupId }, baseURL, headers, requestOptions)
+      : undefined;
+    
+    for (const endpoint of source.endpoints) {
+      for (let page = 0; page < MAX_INDEX_PAGES; page++) {
+        const query = { ...source.query, ...(delta ? source.deltaQuery : {}), page: String(page), pagesize: String(pageSize) };
+        const url = buildResolverUrl(baseURL, endpoint, query, { ogId: orgGroupId, ogUuid, since });
+        const response = await makeAPIRequest(url, listHeaders, requestOptions).catch((error) => {
+          // An empty or missing page just ends the list
+          if (error.notFound || error.status === 404) return {};
+          throw error;
+        });
+        
+        const list = source.listPath ? readPath(response, source.listPath) : response;
+        const items = Array.isArray(list) ? list : [];
+        const index = entityIndexes.get(indexKey);
+        items.forEach((item) => {
+          const record = toIndexRecord(source, item);
+          if (!record) return;
+          seen.push(record);
+          if (index && !delta) addToEntityIndex(index, record);
+        });
+        
+        const total = Number(response.Total ?? response.total);
+        if (items.length < pageSize || (Number.isFinite(total) && (page + 1) * pageSize >= total)) break;
+      }
+    }
+  }
+  
+  let index;
+  if (delta) {
+    // Modified records replace the ones they match; the rest of the index is kept
+    const current = entityIndexes.get(indexKey) || previous;
+    const changed = new Set(seen.flatMap(record => record.matchValues));
+    const kept = current.records.filter(record => !record.matchValues.some(value => changed.has(value)));
+    index = createEntityIndex(kept.concat(seen), startedAt, true, current.rebuiltAt);
+  } else {
+    // Replace with what this pass saw, so deleted entries disappear
+    index = createEntityIndex(seen, startedAt, true, startedAt);
+  }
+  entityIndexes.set(indexKey, index);
+  
+  await updateStoredEntityIndexes((stored) => {
+    stored[indexKey] = { records: index.records, updatedAt: index.updatedAt, rebuiltAt: index.rebuiltAt, complete: true };
+  }).then(() => {
+    entityIndexStorageError = null;
+  }).catch((error) => {
+    // The index still works from memory, but is lost when the service worker stops
+    console.warn('UUID Resolver: Failed to persist entity index:', error.message);
+    entityIndexStorageError = { message: error.message, at: Date.now() };
+  });
+}
+
+function startEntityIndexRefresh(indexKey, source, baseURL, headers, settings, requestOptions, mode = getIndexRefreshMode(entityIndexes.get(indexKey), source)) {
+  const refreshKey = `${indexKey}|${mode}`;
+  if (!entityIndexRefreshes.has(refreshKey)) {
+    // Shared by every waiting lookup, so it must not be aborted by any one of them
+    const { signal, ...sharedOptions } = requestOptions;
+    const refresh = refreshEntityIndex(indexKey, source, baseURL, headers, settings, sharedOptions, mode)
+      .finally(() => entityIndexRefreshes.delete(refreshKey));
+    entityIndexRefreshes.set(refreshKey, refresh);
+  }
+  return entityIndexRefreshes.get(refreshKey);
+}
+
+/**
+ * Wait for a promise, rejecting early with an AbortError if the signal aborts
+ */
+function raceAbort(promise, signal) {
+  if (!signal) return promise;
+  
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => reject(createAbortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Catalog index hit for a UUID, or null (never calls the API)
  */
-async function resolveUUID(uuid, entityType) {
-  const settings = await getSettings();
-  const { serverUrl, authType } = settings;
+async function getIndexedEntity(uuid, definition, settings) {
+  await loadEntityIndexes();
+  const index = entityIndexes.get(getEntityIndexKey(definition, settings));
+  const hit = index && index.keys.get(uuid);
+  return hit ? toIndexedEntity(hit, uuid, index, settings) : null;
+}
 
-  if (!serverUrl) {
-    throw new Error('Server URL not configured. Please configure the extension in the options page.');
+/**
+ * First index hit across the given entity types, in chain order, or null
+ */
+async function findInEntityIndexes(uuid, entityTypes, settings) {
+  for (const definition of entityTypes) {
+    if (!getIndexSource(definition)) continue;
+    const indexed = await getIndexedEntity(uuid, definition, settings);
+    if (indexed) return indexed;
   }
+  return null;
+}
 
-  let headers = {
-    'Accept': 'application/json',
-    'Content-Type': 'application/json'
+async function resolveFromEntityIndex(uuid, definition, baseURL, headers, settings, requestOptions = {}) {
+  await loadEntityIndexes();
+  const indexKey = getEntityIndexKey(definition, settings);
+  const index = entityIndexes.get(indexKey);
+  const fresh = !!index && index.complete && Date.now() - index.updatedAt < ENTITY_INDEX_MAX_AGE;
+  
+  const refreshInBackground = (mode) => {
+    startEntityIndexRefresh(indexKey, definition, baseURL, headers, settings, requestOptions, mode).catch((error) => {
+      console.warn(`UUID Resolver: Background ${definition.name} index refresh failed:`, error.message);
+    });
   };
-
-  // Set up authentication
-  if (authType === 'basic') {
-    const { username, password, apiKey } = settings;
-    if (!username || !password || !apiKey) {
-      throw new Error('Basic authentication not properly configured: username, password, and API key (tenant code) are required');
+  
+  const hit = index && index.keys.get(uuid);
+  if (hit) {
+    if (!fresh) refreshInBackground();
+    return toIndexedEntity(hit, uuid, index, settings);
+  }
+  
+  if (!fresh) {
+    // A complete index only needs the records changed since its last refresh to answer a miss
+    const canDelta = !!index?.complete && !!definition.deltaQuery;
+    if (canDelta && getIndexRefreshMode(index, definition) === 'full') refreshInBackground('full');
+    const refresh = startEntityIndexRefresh(indexKey, definition, baseURL, headers, settings, requestOptions, canDelta ? 'delta' : 'full');
+    await raceAbort(refresh, requestOptions.signal);
+    const refreshedIndex = entityIndexes.get(indexKey);
+    const refreshed = refreshedIndex?.keys.get(uuid);
+    if (refreshed) {
+      return toIndexedEntity(refreshed, uuid, refreshedIndex, settings);
     }
+  }
+  
+  throw createNotFoundError(`${definition.name} not found`);
+}
 
-    const credentials = btoa(`${username}:${password}`);
-    headers['Authorization'] = `Basic ${credentials}`;
-    headers['aw-tenant-code'] = apiKey; // required for Basic auth
-  } else if (authType === 'oauth') {
-    const { clientId, clientSecret, tokenUrl } = settings;
-    if (!clientId || !clientSecret || !tokenUrl) {
-      throw new Error('OAuth not properly configured');
-    }
+/**
+ * Catalog sync
+ *
+ * Lists every enabled entity type that has a list source (tags and the catalog sources of apps,
+ * profiles, products, scripts and OGs) for each configured environment and stores them in the
+ * entity index. Runs on demand from the options page and on a chrome.alarms schedule when
+ * settings.catalogSyncEnabled is on. Progress and per-type results are kept in
+ * chrome.storage.local under 'catalogSyncStatus'.
+ */
+const CATALOG_SYNC_ALARM = 'catalog-sync';
+const DEFAULT_CATALOG_SYNC_INTERVAL = 6 * 60 * 60 * 1000; // 6 hours
+const MIN_CATALOG_SYNC_INTERVAL = 15 * 60 * 1000;
 
-    const token = await getOAuthToken(clientId, clientSecret, tokenUrl);
-    headers['Authorization'] = `Bearer ${token}`;
-  } else {
-    throw new Error(`Unsupported auth type: ${authType}`);
-  }
+let catalogSyncRun = null;
 
-  // Resolve based on entity type
-  switch (entityType) {
-    case 'tag':
-      return await resolveTag(uuid, serverUrl, headers, settings);
-    case 'script':
-      return await resolveScript(uuid, serverUrl, headers);
-    case 'organization-group':
-      return await resolveOrganizationGroup(uuid, serverUrl, headers);
-    case 'application':
-      return await resolveApplication(uuid, serverUrl, headers, settings);
-    case 'product':
-      return await resolveProduct(uuid, serverUrl, headers);
-    case 'profile':
-      return await resolveProfile(uuid, serverUrl, headers, settings);
-    default:
-      throw new Error(`Unsupported entity type: ${entityType}`);
-  }
+function getCatalogSyncInterval(settings) {
+  const interval = Number(settings.catalogSyncInterval);
+  return Number.isFinite(interval) && interval > 0
+    ? Math.max(interval, MIN_CATALOG_SYNC_INTERVAL)
+    : DEFAULT_CATALOG_SYNC_INTERVAL;
 }
 
 /**
- * Resolve Tag UUID
+ * Create or clear the sync alarm to match the settings
  */
-async function resolveTag(uuid, baseURL, headers, settings) {
-  const orgGroupId = settings.organizationGroupId;
+async function scheduleCatalogSync() {
+  const settings = await getSettings();
   
-  if (!orgGroupId) {
-    throw new Error('Organization Group ID is required for tag resolution');
+  if (!settings.catalogSyncEnabled) {
+    await chrome.alarms.clear(CATALOG_SYNC_ALARM);
+    return;
   }
   
-  const response = await makeAPIRequest(`${baseURL}/mdm/tags/search?organizationgroupid=${orgGroupId}`, headers);
-  const tags = response.Tags || [];
-  
-  const tag = tags.find(t => t.Id?.Value === uuid || t.Uuid === uuid);
-  if (tag) {
-    return {
-      uuid: uuid,
-      name: tag.TagName,
-      type: 'tag',
-      subType: 'Tag',
-      description: tag.Description,
-      color: tag.TagColorId
-    };
+  const periodInMinutes = getCatalogSyncInterval(settings) / 60000;
+  const existing = await chrome.alarms.get(CATALOG_SYNC_ALARM);
+  if (!existing || existing.periodInMinutes !== periodInMinutes) {
+    chrome.alarms.create(CATALOG_SYNC_ALARM, { delayInMinutes: 1, periodInMinutes });
+    debugLog(`UUID Resolver: Catalog sync scheduled every ${periodInMinutes} min`);
   }
-  
-  throw new Error('Tag not found');
 }
 
-/**
- * Resolve Script UUID
- */
-async function resolveScript(uuid, baseURL, headers) {
-  const scriptHeaders = {
-    ...headers,
-    'Accept': 'application/json;version=2'
-  };
-  
-  const response = await makeAPIRequest(`${baseURL}/mdm/workflows/${uuid}`, scriptHeaders);
-  return {
-    uuid: uuid,
-    name: response.name || response.display_name || 'Unknown Script',
-    type: 'script',
-    subType: 'Script/Workflow',
-    description: response.description,
-    deviceType: response.device_type
-  };
+function setCatalogSyncStatus(status) {
+  return new Promise((resolve) => {
+    chrome.storage.local.set({ catalogSyncStatus: status }, () => resolve());
+  });
 }
 
-/**
- * Resolve Organization Group UUID
- */
-async function resolveOrganizationGroup(uuid, baseURL, headers) {
-  const orgGroupHeaders = {
-    ...headers,
-    'Accept': 'application/json;version=2'
-  };
-  
-  const response = await makeAPIRequest(`${baseURL}/system/groups/${uuid}`, orgGroupHeaders);
-  return {
-    uuid: uuid,
-    name: response.Name || response.GroupName || response.OrganizationGroupName,
-    type: 'organization-group',
-    subType: 'Organization Group',
-    description: response.Description,
-    groupId: response.Id?.Value || response.GroupId
-  };
+function getCatalogSyncStatus() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get(['catalogSyncStatus'], (result) => {
+      resolve(result.catalogSyncStatus || null);
+    });
+  });
 }
 
 /**
- * Resolve Application UUID
+ * Sync the catalog of every configured environment. Concurrent calls share one run.
  */
-async function resolveApplication(uuid, baseURL, headers, settings) {
-  // For application resolution, use API version 2 and do not pass organizationgroupid
-  const appHeaders = {
-    ...headers,
-    'Accept': 'application/json;version=2'
-  };
+function syncCatalog() {
+  if (!catalogSyncRun) {
+    catalogSyncRun = runCatalogSync().finally(() => {
+      catalogSyncRun = null;
+    });
+  }
+  return catalogSyncRun;
+}
 
-  // Try only these application endpoints
-  const endpoints = [
-    `/mam/apps/internal/${uuid}`,
-    `/mam/apps/public/${uuid}`,
-    `/mam/apps/purchased/${uuid}`
-  ];
+async function runCatalogSync() {
+  const allSettings = await getSettings();
+  const startedAt = Date.now();
+  const results = [];
+  await setCatalogSyncStatus({ running: true, startedAt, results });
   
-  for (const endpoint of endpoints) {
+  for (const environment of getEnvironments(allSettings)) {
+    const settings = applyEnvironment(allSettings, environment);
+    if (getConfigurationError(settings)) continue;
+    
+    let headers;
     try {
-      const url = `${baseURL}${endpoint}`; // no org group query param
-      const response = await makeAPIRequest(url, appHeaders);
-      const name = response.ApplicationName || response.Name || response.AppName;
-      
-      if (name) {
-        return {
-          uuid: uuid,
-          name: name,
-          type: 'application',
-          subType: 'Application',
-          description: response.Description || response.AppDescription,
-          version: response.AppVersion || response.Version,
-          platform: response.Platform || response.DeviceType
-        };
-      }
+      headers = await getAuthHeaders(settings);
     } catch (error) {
+      results.push({ environmentName: environment.name, name: 'Authentication', error: error.message });
       continue;
     }
+    
+    const requestOptions = { maxConcurrentRequests: settings.maxConcurrentRequests, timeout: settings.apiTimeout };
+    for (const definition of getEntityTypeChain(settings)) {
+      const source = getIndexSource(definition);
+      if (!source || (source.requiresOrganizationGroup && !settings.organizationGroupId)) continue;
+      
+      const indexKey = getEntityIndexKey(definition, settings);
+      try {
+        // Sequential on purpose: a sync should not compete with interactive lookups for the quota
+        await withAuthRetry(settings, headers, (authHeaders) => {
+          headers = authHeaders;
+          return startEntityIndexRefresh(indexKey, source, settings.serverUrl, authHeaders, settings, requestOptions);
+        });
+        results.push({ environmentName: environment.name, name: definition.name, count: entityIndexes.get(indexKey).records.length });
+      } catch (error) {
+        console.warn(`UUID Resolver: Catalog sync failed for ${definition.name}:`, error.message);
+        results.push({ environmentName: environment.name, name: definition.name, error: error.message });
+      }
+    }
   }
   
-  throw new Error('Application not found');
+  const status = { running: false, startedAt, finishedAt: Date.now(), results };
+  if (entityIndexStorageError) status.storageError = entityIndexStorageError;
+  await setCatalogSyncStatus(status);
+  debugLog('UUID Resolver: Catalog sync finished', results);
+  return status;
 }
 
+// Shared limiter for UEM API calls so parallel lookups honor maxConcurrentRequests
+const DEFAULT_MAX_CONCURRENT_REQUESTS = 5;
+const requestSlots = { active: 0, waiting: [] };
+
 /**
- * Resolve Product UUID
+ * Wait for a free request slot. Resolves with a release function;
+ * rejects if the signal aborts while still queued.
  */
-async function resolveProduct(uuid, baseURL, headers) {
-  const response = await makeAPIRequest(`${baseURL}/mdm/products/${uuid}/details`, headers);
-  return {
-    uuid: uuid,
-    name: response.product_name || 'Unknown Product',
-    type: 'product',
-    subType: 'Product',
-    description: response.description,
-    platform: response.platform,
-    isActive: response.is_active
-  };
+function acquireRequestSlot(limit, signal) {
+  const max = Math.max(1, parseInt(limit) || DEFAULT_MAX_CONCURRENT_REQUESTS);
+
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const grant = () => {
+      requestSlots.active++;
+      let released = false;
+      resolve(() => {
+        if (released) return;
+        released = true;
+        requestSlots.active--;
+        drainRequestSlots();
+      });
+    };
+
+    if (requestSlots.active < max) {
+      grant();
+      return;
+    }
+
+    const waiter = { max, grant };
+    requestSlots.waiting.push(waiter);
+    signal?.addEventListener('abort', () => {
+      const index = requestSlots.waiting.indexOf(waiter);
+      if (index !== -1) {
+        requestSlots.waiting.splice(index, 1);
+        reject(createAbortError());
+      }
+    }, { once: true });
+  });
+}
+
+function drainRequestSlots() {
+  while (requestSlots.waiting.length && requestSlots.active < requestSlots.waiting[0].max) {
+    requestSlots.waiting.shift().grant();
+  }
+}
+
+function createAbortError() {
+  const error = new Error('API request aborted');
+  error.name = 'AbortError';
+  return error;
 }
 
 /**
- * Resolve Profile UUID
+ * Retry and rate limiting
+ *
+ * Network errors, 429 and 5xx responses are retried with exponential backoff and jitter.
+ * Retry-After and the UEM X-RateLimit-Remaining / X-RateLimit-Reset headers are tracked
+ * across requests: when the quota runs out every queued request waits for the reset, and
+ * when it runs low requests are spaced out so the rest of the quota lasts until then.
  */
-async function resolveProfile(uuid, baseURL, headers, settings) {
-  const orgGroupId = settings.organizationGroupId;
-  
-  let url = `${baseURL}/mdm/profiles/${uuid}/detail`;
-  if (orgGroupId) {
-    url += `?organizationgroupid=${orgGroupId}`;
+const DEFAULT_API_TIMEOUT = 30000;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 30000;
+const MAX_RETRY_AFTER = 60000; // give up instead of waiting longer than this
+const RATE_LIMIT_LOW_WATERMARK = 20; // start spacing requests below this many remaining calls
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+const rateLimitState = {
+  pausedUntil: 0, // no request starts before this time
+  spacing: 0, // minimum gap between request starts while the quota is low (ms)
+  spacingUntil: 0, // quota reset time; spacing stops after it
+  nextRequestAt: 0 // earliest start for the next request while spacing
+};
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(createAbortError());
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Wait until the shared rate limit allows the next request to start
+ */
+async function waitForRateLimit(signal) {
+  const now = Date.now();
+  let startAt = Math.max(rateLimitState.pausedUntil, now);
+  if (rateLimitState.spacing && now < rateLimitState.spacingUntil) {
+    startAt = Math.max(startAt, rateLimitState.nextRequestAt);
+    rateLimitState.nextRequestAt = startAt + rateLimitState.spacing;
   }
-  
-  const response = await makeAPIRequest(url, headers);
-  return {
-    uuid: uuid,
-    name: response.name || response.ProfileName || 'Unknown Profile',
-    type: 'profile',
-    subType: 'Profile',
-    description: response.Description || response.description,
-    platform: response.platform || response.Platform
-  };
+  if (startAt > now) {
+    debugLog(`UUID Resolver: Rate limit - waiting ${startAt - now} ms`);
+    await sleep(startAt - now, signal);
+  }
+}
+
+/**
+ * Parse Retry-After (delta seconds or HTTP date) into milliseconds, or null
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Update the shared rate limit state from UEM response headers
+ */
+function recordRateLimitHeaders(response) {
+  const remaining = parseInt(response.headers.get('X-RateLimit-Remaining'));
+  const reset = parseInt(response.headers.get('X-RateLimit-Reset'));
+  if (Number.isNaN(remaining) || Number.isNaN(reset)) return;
+
+  // Reset is a Unix timestamp; accept seconds or milliseconds
+  const resetAt = reset < 1e12 ? reset * 1000 : reset;
+  const untilReset = Math.min(resetAt - Date.now(), MAX_RETRY_AFTER);
+  if (untilReset <= 0) return;
+
+  if (remaining <= 0) {
+    rateLimitState.pausedUntil = Math.max(rateLimitState.pausedUntil, Date.now() + untilReset);
+  } else if (remaining < RATE_LIMIT_LOW_WATERMARK) {
+    rateLimitState.spacing = Math.ceil(untilReset / remaining);
+    rateLimitState.spacingUntil = Date.now() + untilReset;
+  } else {
+    rateLimitState.spacing = 0;
+  }
+}
+
+function getRetryDelay(attempt, retryAfter) {
+  if (retryAfter !== null && retryAfter !== undefined) {
+    return retryAfter;
+  }
+  const backoff = Math.min(RETRY_BASE_DELAY * 2 ** attempt, RETRY_MAX_DELAY);
+  return Math.round(backoff / 2 + Math.random() * backoff / 2); // equal jitter
 }
 
 /**
  * Make API request with proper error handling
+ *
+ * options.signal cancels the request (queued, waiting to retry or in flight);
+ * options.maxConcurrentRequests sets the shared concurrency limit;
+ * options.timeout is the per-attempt timeout in ms (settings.apiTimeout).
  */
-async function makeAPIRequest(url, headers) {
-  console.log(`UUID Resolver: Making API request to ${url}`);
+async function makeAPIRequest(url, headers, options = {}) {
+  const { signal } = options;
   
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), 10000);
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await makeAPIRequestAttempt(url, headers, options);
+    } catch (error) {
+      if (!error.retryable || attempt >= MAX_RETRIES || signal?.aborted) {
+        throw error;
+      }
+      
+      if (error.retryAfter !== null && error.retryAfter > MAX_RETRY_AFTER) {
+        debugLog(`UUID Resolver: Retry-After of ${error.retryAfter} ms is too long, giving up`);
+        throw error;
+      }
+      
+      const delay = getRetryDelay(attempt, error.retryAfter);
+      debugLog(`UUID Resolver: ${error.message} - retrying in ${delay} ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+async function makeAPIRequestAttempt(url, headers, options) {
+  const { signal, maxConcurrentRequests } = options;
+  const timeout = parseInt(options.timeout) || DEFAULT_API_TIMEOUT;
+  const release = await acquireRequestSlot(maxConcurrentRequests, signal);
+  const controller = createLinkedAbortController(signal);
+  let timeoutId = null;
   
   try {
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: headers,
-      mode: 'cors',
-      credentials: 'omit',
-      signal: controller.signal
-    });
+    await waitForRateLimit(signal);
+    
+    debugLog(`UUID Resolver: Making API request to ${url}`);
+    timeoutId = setTimeout(() => controller.abort(), timeout);
+    
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'GET',
+        headers: headers,
+        mode: 'cors',
+        credentials: 'omit',
+        signal: controller.signal
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      // fetch rejects with a TypeError for network and CORS failures
+      const networkError = new Error(`Network error: ${error.message}`);
+      networkError.network = true;
+      networkError.retryable = true;
+      networkError.retryAfter = null;
+      throw networkError;
+    }
     
     clearTimeout(timeoutId);
+    recordRateLimitHeaders(response);
     
     if (!response.ok) {
       const errorText = await response.text();
-      throw new Error(`API request failed: ${response.status} ${response.statusText} - ${errorText}`);
+      const error = new Error(`API request failed: ${response.status} ${response.statusText} - ${errorText}`);
+      error.status = response.status;
+      error.retryable = RETRYABLE_STATUSES.includes(response.status);
+      error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+      if (response.status === 429) {
+        // Hold every queued request, not just this one
+        const pause = error.retryAfter !== null ? error.retryAfter : getRetryDelay(0, null);
+        rateLimitState.pausedUntil = Math.max(rateLimitState.pausedUntil, Date.now() + Math.min(pause, MAX_RETRY_AFTER));
+      }
+      throw error;
     }
     
-    const data = await response.json();
-    return data;
+    // Some endpoints answer 204 / an empty body when nothing matches
+    const text = await response.text();
+    if (!text) {
+      throw createNotFoundError(`Empty API response from ${url}`);
+    }
+    
+    try {
+      return JSON.parse(text);
+    } catch (_) {
+      const malformedError = new Error(`Malformed API response from ${url}`);
+      malformedError.malformed = true;
+      throw malformedError;
+    }
   } catch (error) {
     clearTimeout(timeoutId);
     if (error.name === 'AbortError') {
-      throw new Error('API request timed out');
+      if (signal?.aborted) throw createAbortError();
+      const timeoutError = new Error('API request timed out');
+      timeoutError.timedOut = true;
+      throw timeoutError;
     }
     throw error;
+  } finally {
+    controller.unlink();
+    release();
+  }
+}
+
+/**
+ * OAuth token cache
+ *
+ * client_credentials tokens are kept in memory and in chrome.storage.session (survives service
+ * worker restarts, cleared with the browser session) together with their expiry, and reused until
+ * TOKEN_REFRESH_MARGIN before they expire. Tokens are keyed by token URL, client ID and a hash of
+ * the client secret, so each environment profile keeps its own token and a changed secret is
+ * never answered with a token issued for the old one.
+ */
+const TOKEN_REFRESH_MARGIN = 60 * 1000; // refresh one minute before expiry
+const DEFAULT_TOKEN_LIFETIME = 3600; // seconds, when the endpoint omits expires_in
+
+const oauthTokens = new Map(); // cacheKey -> { accessToken, expiresAt, cacheKey }
+const oauthTokenRequests = new Map(); // cacheKey -> in-flight token fetch, shared by parallel lookups
+
+async function getTokenCacheKey(clientId, clientSecret, tokenUrl) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(clientSecret || ''));
+  const secretHash = Array.from(new Uint8Array(digest).slice(0, 8), byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${tokenUrl}|${clientId}|${secretHash}`;
+}
+
+function isTokenUsable(state, cacheKey) {
+  return !!state && state.cacheKey === cacheKey && state.expiresAt - TOKEN_REFRESH_MARGIN > Date.now();
+}
+
+async function loadSessionTokens() {
+  try {
+    const result = await chrome.storage.session.get(['oauthTokens']);
+    return result.oauthTokens || {};
+  } catch (_) {
+    return {};
+  }
+}
+
+async function storeSessionToken(cacheKey, state) {
+  try {
+    const tokens = await loadSessionTokens();
+    if (state) {
+      tokens[cacheKey] = state;
+    } else {
+      delete tokens[cacheKey];
+    }
+    await chrome.storage.session.set({ oauthTokens: tokens });
+  } catch (error) {
+    console.warn('UUID Resolver: Failed to persist OAuth token:', error?.message || error);
   }
 }
 
 /**
- * Get OAuth token
+ * Get OAuth token, served from the cache while it is still valid
  */
 async function getOAuthToken(clientId, clientSecret, tokenUrl) {
+  const cacheKey = await getTokenCacheKey(clientId, clientSecret, tokenUrl);
+  
+  if (isTokenUsable(oauthTokens.get(cacheKey), cacheKey)) {
+    return oauthTokens.get(cacheKey).accessToken;
+  }
+  
+  const sessionToken = (await loadSessionTokens())[cacheKey];
+  if (isTokenUsable(sessionToken, cacheKey)) {
+    oauthTokens.set(cacheKey, sessionToken);
+    return sessionToken.accessToken;
+  }
+  
+  if (!oauthTokenRequests.has(cacheKey)) {
+    const request = fetchOAuthToken(clientId, clientSecret, tokenUrl)
+      .then(async (data) => {
+        const lifetime = Number(data.expires_in) > 0 ? Number(data.expires_in) : DEFAULT_TOKEN_LIFETIME;
+        const state = {
+          accessToken: data.access_token,
+          expiresAt: Date.now() + lifetime * 1000,
+          cacheKey
+        };
+        oauthTokens.set(cacheKey, state);
+        await storeSessionToken(cacheKey, state);
+        return state;
+      })
+      .finally(() => {
+        oauthTokenRequests.delete(cacheKey);
+      });
+    oauthTokenRequests.set(cacheKey, request);
+  }
+  
+  const state = await oauthTokenRequests.get(cacheKey);
+  return state.accessToken;
+}
+
+/**
+ * Drop a cached token after the API rejected it. Only clears it if it is still the
+ * rejected token, so parallel 401s trigger a single refresh.
+ */
+async function invalidateOAuthToken(settings, rejectedToken) {
+  const cacheKey = await getTokenCacheKey(settings.clientId, settings.clientSecret, settings.tokenUrl);
+  const state = oauthTokens.get(cacheKey);
+  if (!state || state.accessToken === rejectedToken) {
+    oauthTokens.delete(cacheKey);
+    await storeSessionToken(cacheKey, null);
+  }
+}
+
+/**
+ * Token status for the popup and options page (never includes the token itself).
+ * target.environmentId or target.url picks the environment; otherwise the default one.
+ */
+async function getTokenStatus(target = {}) {
+  const allSettings = await getSettings();
+  const environment = getEnvironments(allSettings).find(candidate => candidate.id === target.environmentId) ||
+    selectEnvironment(allSettings, target.url);
+  const settings = applyEnvironment(allSettings, environment);
+  if (settings.authType !== 'oauth') {
+    return { authType: settings.authType || 'basic', hasToken: false, environmentName: settings.environmentName };
+  }
+  
+  const cacheKey = await getTokenCacheKey(settings.clientId, settings.clientSecret, settings.tokenUrl);
+  const state = oauthTokens.get(cacheKey) || (await loadSessionTokens())[cacheKey];
+  if (!state || state.expiresAt <= Date.now()) {
+    return { authType: 'oauth', hasToken: false, environmentName: settings.environmentName };
+  }
+  
+  return { authType: 'oauth', hasToken: true, expiresAt: state.expiresAt, environmentName: settings.environmentName };
+}
+
+/**
+ * Request a new OAuth token (client_credentials). Resolves with the token response body.
+ */
+async function fetchOAuthToken(clientId, clientSecret, tokenUrl) {
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), 30000);
   
@@ -678,7 +3110,7 @@ async function getOAuthToken(clientId, clientSecret, tokenUrl) {
       throw new Error('No access token received from OAuth endpoint');
     }
     
-    return data.access_token;
+    return data;
   } catch (error) {
     clearTimeout(timeoutId);
     if (error.name === 'AbortError') {
@@ -688,6 +3120,24 @@ async function getOAuthToken(clientId, clientSecret, tokenUrl) {
   }
 }
 
+/**
+ * Run an API call with auth headers; for OAuth, a 401 refreshes the token and retries once
+ */
+async function withAuthRetry(settings, headers, call) {
+  try {
+    return await call(headers);
+  } catch (error) {
+    if (error.status !== 401 || settings.authType !== 'oauth') {
+      throw error;
+    }
+    
+    debugLog('UUID Resolver: OAuth token rejected, refreshing and retrying once');
+    await invalidateOAuthToken(settings, (headers['Authorization'] || '').replace(/^Bearer /, ''));
+    const freshHeaders = await getAuthHeaders(settings);
+    return await call(freshHeaders);
+  }
+}
+
 /**
  * Test API connection
  */
@@ -698,37 +3148,33 @@ async function testAPIConnection(settings) {
     throw new Error('Server URL is required');
   }
   
-  let headers = {
-    'Accept': 'application/json'
-  };
-  
   if (authType === 'basic') {
     const { username, password, apiKey } = settings;
     if (!username || !password || !apiKey) {
       throw new Error('Username, password, and API key (tenant code) are required for Basic authentication');
     }
-    
-    const credentials = btoa(`${username}:${password}`);
-    headers['Authorization'] = `Basic ${credentials}`;
-    headers['aw-tenant-code'] = apiKey; // required for Basic auth
   } else if (authType === 'oauth') {
     const { clientId, clientSecret, tokenUrl } = settings;
     if (!clientId || !clientSecret || !tokenUrl) {
       throw new Error('Client ID, Client Secret, and Token URL are required for OAuth');
     }
-    
-    const token = await getOAuthToken(clientId, clientSecret, tokenUrl);
-    headers['Authorization'] = `Bearer ${token}`;
   }
   
-  const response = await makeAPIRequest(`${serverUrl}/system/info`, headers);
+  const headers = await getAuthHeaders(settings);
+  const response = await withAuthRetry(settings, headers, (authHeaders) =>
+    makeAPIRequest(`${serverUrl}/system/info`, authHeaders, { timeout: settings.apiTimeout })
+  );
+  
+  const token = authType === 'oauth' ? oauthTokens.get(await getTokenCacheKey(settings.clientId, settings.clientSecret, settings.tokenUrl)) : null;
+  const tokenStatus = token ? { expiresAt: token.expiresAt } : null;
   
   return {
     success: true,
     serverInfo: {
       version: response.ProductVersion || 'Unknown',
       build: response.BuildNumber || 'Unknown'
-    }
+    },
+    tokenStatus
   };
 }
 
@@ -745,15 +3191,25 @@ async function getStatistics() {
 }
 
 function incrementStat(key, by = 1) {
-  try {
-    chrome.storage.local.get(['stats'], (result) => {
-      const stats = result.stats || { totalFound: 0, totalResolved: 0, totalFailures: 0, totalErrors: 0 };
+  incrementStats({ [key]: by });
+}
+
+// Serializes the counter updates so concurrent resolutions (e.g. a bulk resolve) do not lose increments
+let statsWriteChain = Promise.resolve();
+
+/**
+ * Add several counters in one read/write, queued behind the previous update
+ */
+function incrementStats(counts) {
+  statsWriteChain = statsWriteChain.then(async () => {
+    const stats = await getStatistics();
+    Object.entries(counts).forEach(([key, by]) => {
       stats[key] = (stats[key] || 0) + by;
-      chrome.storage.local.set({ stats });
     });
-  } catch (_) {
-    // ignore
-  }
+    await new Promise((resolve) => {
+      chrome.storage.local.set({ stats }, () => resolve());
+    });
+  }).catch(() => {});
 }
 
 console.log('UUID Resolver: Background service worker ready');
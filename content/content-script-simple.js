@@ -6,6 +6,9 @@
 console.log('UUID Resolver: Content script loaded');
 
 let showExtraFieldsInToast = true;
+let autoAnnotate = true;
+let hoverTooltips = false;
+let debugLogging = false; // Settings → Advanced → Debug Mode
 
 // Load settings to determine whether to show extra fields in success toast
 try {
@@ -13,81 +16,950 @@ try {
     if (resp && resp.success && resp.data) {
       // repurposed: showTooltips means show extra fields in success toast
       showExtraFieldsInToast = resp.data.showTooltips !== false;
+      autoAnnotate = resp.data.autoAnnotate !== false;
+      hoverTooltips = resp.data.hoverTooltips === true;
+      debugLogging = resp.data.debugMode === true;
     }
+    if (autoAnnotate) startAnnotating();
+    if (hoverTooltips) startHoverTooltips();
   });
 } catch (_) {}
 
-// Toast utilities
+// React to settings changes made in the options page without a reload
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'sync') return;
+  if (resolutionUnavailable) {
+    // Saved settings may have fixed what stopped resolution (e.g. the server was not configured)
+    resolutionUnavailable = null;
+    hideHoverTooltip();
+    if (autoAnnotate && !replaceMode) startAnnotating();
+    refreshReplacements();
+  }
+  if (changes.debugMode) debugLogging = changes.debugMode.newValue === true;
+  if (changes.showTooltips) showExtraFieldsInToast = changes.showTooltips.newValue !== false;
+  if (changes.autoAnnotate) {
+    autoAnnotate = changes.autoAnnotate.newValue !== false;
+    if (autoAnnotate && !replaceMode) startAnnotating(); else stopAnnotating();
+  }
+  if (changes.hoverTooltips) {
+    hoverTooltips = changes.hoverTooltips.newValue === true;
+    if (hoverTooltips) startHoverTooltips(); else stopHoverTooltips();
+  }
+});
+
+function debugLog(...args){
+  if (debugLogging) console.log(...args);
+}
+
+// Bulk results panel styles (toasts carry their own stylesheet in a shadow root)
 function ensureStyle() {
-  if (document.getElementById('uuid-resolver-toast-style')) return;
+  if (document.getElementById('uuid-resolver-bulk-style')) return;
   const style = document.createElement('style');
-  style.id = 'uuid-resolver-toast-style';
+  style.id = 'uuid-resolver-bulk-style';
   style.textContent = `
-    .uuid-resolver-toast-container{position:fixed;right:16px;bottom:16px;z-index:2147483647;display:flex;flex-direction:column;gap:8px}
-    .uuid-resolver-toast{background:#0b6aa2;color:#fff;padding:12px 14px;border-radius:8px;box-shadow:0 4px 18px rgba(0,0,0,.2);max-width:380px;font:13px/1.4 -apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;position:relative;padding-right:36px}
-    .uuid-resolver-toast.info{background:#d97706} /* orange-600 */
-    .uuid-resolver-toast.success{background:#3778F5}
-    .uuid-resolver-toast.error{background:#b00020}
-    /* Hard reset to prevent host page styles (borders/dividers) from leaking in */
-    .uuid-resolver-toast, .uuid-resolver-toast * { box-sizing: border-box; border: 0 !important; outline: 0; }
-    .uuid-resolver-toast hr{ display:none !important }
-    .uuid-resolver-toast .header{display:flex;align-items:center;justify-content:space-between;margin:0 0 2px 0;background:transparent !important}
-    .uuid-resolver-toast .header:before, .uuid-resolver-toast .header:after{content:none !important;display:none !important;border:0 !important}
-    .uuid-resolver-toast .title{color:#fff !important;font-weight:600;margin:0;flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;background:transparent !important;line-height:1.2}
-    .uuid-resolver-toast.success .title{font-size:16px;font-weight:700}
-    .uuid-resolver-toast .type-pill{padding:2px 8px;border-radius:9999px;background:#6B7280;color:#fff;font-size:11px;font-weight:700;letter-spacing:.02em;text-transform:uppercase;white-space:nowrap;line-height:18px}
-    .uuid-resolver-toast .body{white-space:pre-wrap;word-break:break-word;background:transparent !important;margin-top:0}
-    .uuid-resolver-toast .header + .body{border-top:none !important}
-    .uuid-resolver-toast .body:before,.uuid-resolver-toast .body:after{content:none !important;display:none !important;border:0 !important}
-    .uuid-resolver-toast .close{position:absolute;top:8px;right:10px;cursor:pointer;opacity:.9}
+    .uuid-resolver-bulk{position:fixed;top:16px;right:16px;z-index:2147483647;width:min(720px,calc(100vw - 32px));max-height:70vh;display:flex;flex-direction:column;background:#fff;color:#1f2937;border-radius:8px;box-shadow:0 8px 28px rgba(0,0,0,.25);font:13px/1.4 -apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif}
+    .uuid-resolver-bulk, .uuid-resolver-bulk * { box-sizing: border-box; }
+    .uuid-resolver-bulk .bulk-header{display:flex;align-items:center;gap:8px;padding:10px 12px;background:#2563eb;color:#fff;border-radius:8px 8px 0 0}
+    .uuid-resolver-bulk .bulk-title{flex:1;font-weight:600}
+    .uuid-resolver-bulk button{font:inherit;border:0;border-radius:4px;padding:4px 10px;cursor:pointer;background:#fff;color:#1d4ed8}
+    .uuid-resolver-bulk .bulk-close{background:transparent;color:#fff;font-size:16px;padding:0 4px}
+    .uuid-resolver-bulk .bulk-body{overflow:auto}
+    .uuid-resolver-bulk table{width:100%;border-collapse:collapse}
+    .uuid-resolver-bulk th, .uuid-resolver-bulk td{text-align:left;padding:6px 10px;border-bottom:1px solid #e5e7eb;vertical-align:top}
+    .uuid-resolver-bulk th{position:sticky;top:0;background:#f3f4f6;font-weight:600}
+    .uuid-resolver-bulk td.uuid{font-family:'SF Mono',Monaco,'Cascadia Code',monospace;font-size:12px;white-space:nowrap}
+    .uuid-resolver-bulk tr.not-found td.status, .uuid-resolver-bulk tr.failed td.status, .uuid-resolver-bulk tr.error td.status, .uuid-resolver-bulk tr.invalid td.status{color:#b00020;font-weight:600}
   `;
   document.head.appendChild(style);
 }
 
-function getContainer(){
-  let c = document.querySelector('.uuid-resolver-toast-container');
-  if (!c){
-    c = document.createElement('div');
-    c.className = 'uuid-resolver-toast-container';
-    document.body.appendChild(c);
-  }
-  return c;
+// Toasts render inside a closed shadow root, so host page styles cannot leak in and page
+// scripts cannot reach them. Everything is inserted as text; API values are never parsed as HTML.
+// Screen readers hear each toast through a live region: polite for info/success, assertive for errors.
+const MAX_TOASTS = 4;
+const TOAST_STYLE = `
+  :host{all:initial;position:fixed;right:16px;bottom:16px;z-index:2147483647}
+  .stack{display:flex;flex-direction:column;gap:8px;font:13px/1.4 -apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif}
+  .toast{box-sizing:border-box;background:#0b6aa2;color:#fff;padding:12px 36px 12px 14px;border-radius:8px;box-shadow:0 4px 18px rgba(0,0,0,.2);max-width:380px;position:relative}
+  .toast:focus{outline:none}
+  .toast:focus-visible{box-shadow:0 0 0 3px #fff,0 0 0 5px #1f2937}
+  .toast.info{background:#b45309} /* amber-700, 5:1 with white text */
+  .toast.success{background:#2563eb}
+  .toast.error{background:#b00020}
+  .header{display:flex;align-items:center;justify-content:space-between;gap:8px;margin:0 0 2px 0}
+  .title{font-weight:600;flex:1;min-width:0;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;line-height:1.2}
+  .success .title{font-size:16px;font-weight:700}
+  .type-pill{padding:2px 8px;border-radius:9999px;background:#4b5563;font-size:11px;font-weight:700;letter-spacing:.02em;text-transform:uppercase;white-space:nowrap;line-height:18px}
+  .body{white-space:pre-wrap;word-break:break-word}
+  .close{position:absolute;top:6px;right:6px;padding:2px 6px;border:0;border-radius:4px;background:transparent;color:inherit;font:inherit;font-size:18px;line-height:1;cursor:pointer}
+  .close:hover{background:rgba(255,255,255,.2)}
+  .actions{display:flex;flex-wrap:wrap;gap:6px;margin-top:8px}
+  .actions button{font:inherit;font-size:12px;font-weight:600;padding:3px 8px;border:0;border-radius:4px;background:rgba(255,255,255,.92);color:#1d4ed8;cursor:pointer}
+  .actions button:hover{background:#fff}
+  button:focus-visible{outline:2px solid #fff;outline-offset:1px}
+  .sr-only{position:absolute;width:1px;height:1px;margin:-1px;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap}
+`;
+let toastHost = null;
+let toastStack = null;
+let toastLiveRegions = null;
+let toastReturnFocus = null;
+
+function getToastStack(){
+  if (toastStack?.isConnected) return toastStack;
+  toastHost = document.createElement('div');
+  toastHost.className = 'uuid-resolver-toast-container';
+  const shadow = toastHost.attachShadow({ mode: 'closed' });
+  const style = document.createElement('style');
+  style.textContent = TOAST_STYLE;
+  toastStack = document.createElement('div');
+  toastStack.className = 'stack';
+  toastStack.setAttribute('role', 'region');
+  toastStack.setAttribute('aria-label', 'UUID Resolver notifications');
+  toastLiveRegions = {
+    polite: createTextElement('div', 'sr-only', ''),
+    assertive: createTextElement('div', 'sr-only', '')
+  };
+  toastLiveRegions.polite.setAttribute('role', 'status');
+  toastLiveRegions.polite.setAttribute('aria-live', 'polite');
+  toastLiveRegions.assertive.setAttribute('role', 'alert');
+  toastLiveRegions.assertive.setAttribute('aria-live', 'assertive');
+  shadow.append(style, toastStack, toastLiveRegions.polite, toastLiveRegions.assertive);
+  document.body.appendChild(toastHost);
+  return toastStack;
 }
 
-function showToast(title, body, level='info', timeout=6000, persist=false, badgeText){
-  ensureStyle();
-  const el = document.createElement('div');
-  el.className = `uuid-resolver-toast ${level}`;
-  const badge = badgeText && level === 'success' ? `<span class="type-pill" title="Type">${badgeText}</span>` : '';
-  el.innerHTML = `<div class="header"><div class="title">${title}</div>${badge}</div><div class="body">${body}</div><div class="close" aria-label="Close">×</div>`;
-  const closeBtn = el.querySelector('.close');
-  closeBtn.addEventListener('click', () => el.remove());
-  getContainer().appendChild(el);
+function createTextElement(tag, className, text){
+  const el = document.createElement(tag);
+  el.className = className;
+  el.textContent = text;
+  return el;
+}
+
+/**
+ * Show a toast; at most MAX_TOASTS are kept, the oldest make room first
+ */
+function showToast(title, body, level='info', timeout=6000, persist=false, badgeText, actions=[]){
+  const stack = getToastStack();
+  const titleText = String(title ?? '');
+  const bodyText = String(body ?? '');
+  const el = createTextElement('div', `toast ${level}`, '');
+  el.tabIndex = -1;
+  el.setAttribute('role', 'group');
+  el.setAttribute('aria-label', titleText);
+  const header = createTextElement('div', 'header', '');
+  header.appendChild(createTextElement('div', 'title', titleText));
+  if (badgeText && level === 'success') {
+    const badge = createTextElement('span', 'type-pill', String(badgeText));
+    badge.title = 'Type';
+    header.appendChild(badge);
+  }
+  const closeBtn = createTextElement('button', 'close', '×');
+  closeBtn.type = 'button';
+  closeBtn.setAttribute('aria-label', 'Dismiss notification');
+  closeBtn.addEventListener('click', () => dismissToast(el));
+  el.append(header, createTextElement('div', 'body', bodyText), closeBtn);
+  if (actions.length) {
+    const row = createTextElement('div', 'actions', '');
+    actions.forEach(action => {
+      const button = createTextElement('button', '', action.label);
+      button.type = 'button';
+      button.addEventListener('click', () => action.onClick(button));
+      row.appendChild(button);
+    });
+    el.appendChild(row);
+  }
+  el.addEventListener('keydown', (event) => {
+    if (event.key !== 'Escape') return;
+    event.preventDefault();
+    event.stopPropagation();
+    dismissToast(el);
+  });
+  stack.appendChild(el);
+  while (stack.children.length > MAX_TOASTS) {
+    dismissToast(stack.firstElementChild);
+  }
+  announceToast(level, `${titleText}. ${bodyText}`);
   if (!persist) {
-    setTimeout(()=>{ el.remove(); }, timeout);
+    scheduleToastDismissal(el, timeout);
+  }
+}
+
+function announceToast(level, text){
+  const region = level === 'error' ? toastLiveRegions.assertive : toastLiveRegions.polite;
+  // Clear first so the same message twice in a row is announced again
+  region.textContent = '';
+  setTimeout(() => { region.textContent = text; }, 100);
+}
+
+// Auto-dismiss waits while the keyboard user is inside the toast
+function scheduleToastDismissal(el, timeout){
+  setTimeout(() => {
+    if (el.matches(':focus-within')) {
+      el.addEventListener('focusout', () => scheduleToastDismissal(el, timeout), { once: true });
+      return;
+    }
+    dismissToast(el);
+  }, timeout);
+}
+
+/**
+ * Remove a toast; when it had keyboard focus, focus moves to the next toast or back to the page
+ */
+function dismissToast(el){
+  if (!el?.isConnected) return;
+  const hadFocus = el.matches(':focus-within');
+  const next = el.previousElementSibling || el.nextElementSibling;
+  el.remove();
+  if (!hadFocus) return;
+  if (next) {
+    next.focus();
+  } else {
+    restoreToastFocus();
   }
 }
 
+function restoreToastFocus(){
+  const target = toastReturnFocus;
+  toastReturnFocus = null;
+  if (target?.isConnected && typeof target.focus === 'function') target.focus();
+}
+
+/**
+ * Keyboard shortcut: focus the newest toast, then cycle to older ones; wraps around
+ */
+function focusNextToast(){
+  const toasts = toastStack ? Array.from(toastStack.children) : [];
+  if (!toasts.length) return false;
+  const current = toasts.find(toast => toast.matches(':focus-within'));
+  if (!current && document.activeElement !== toastHost) {
+    toastReturnFocus = document.activeElement;
+  }
+  const index = current ? toasts.indexOf(current) : toasts.length;
+  toasts[(index - 1 + toasts.length) % toasts.length].focus();
+  return true;
+}
+
 function formatEntityToast(data){
   // Title already shows the Name; keep body focused on details only
   const uuid = data.uuid || '';
   let body = '';
   if (data.description) body += `${data.description}`;
   if (uuid) body += `${body ? '\n' : ''}UUID: ${uuid}`;
+  if (data.fromCache) body += `${body ? '\n' : ''}(cached result)`;
+  if (data.fromIndex) body += `${body ? '\n' : ''}${describeIndexAge(data)}`;
   if (showExtraFieldsInToast) {
-    // Append extra fields if available
-    const extra = [];
-    if (data.version) extra.push(`Version: ${data.version}`);
-    if (data.platform) extra.push(`Platform: ${data.platform}`);
-    if (data.groupId) extra.push(`Group ID: ${data.groupId}`);
-    if (data.deviceType) extra.push(`Device Type: ${data.deviceType}`);
+    // Append extra fields if available (labelled fields from the resolver definition)
+    const extra = Array.isArray(data.details) ? data.details.map(d => `${d.label}: ${d.value}`) : [];
+    if (!data.details) {
+      if (data.version) extra.push(`Version: ${data.version}`);
+      if (data.platform) extra.push(`Platform: ${data.platform}`);
+      if (data.groupId) extra.push(`Group ID: ${data.groupId}`);
+      if (data.deviceType) extra.push(`Device Type: ${data.deviceType}`);
+    }
     if (extra.length) body += `${body ? '\n' : ''}${extra.join('\n')}`;
   }
   return body;
 }
 
+// Resolver bookkeeping left out of "Copy JSON"; every other entity field is copied
+const COPY_JSON_OMITTED_FIELDS = ['fromCache', 'cachedAt', 'fromIndex', 'indexedAt', 'stale', 'piiFields', 'nameMaskKey', 'masked', 'consoleUrl'];
+
+// Buttons of the resolved-entity toast
+function getEntityToastActions(data){
+  const copyJson = Object.fromEntries(Object.entries(data).filter(([key]) => !COPY_JSON_OMITTED_FIELDS.includes(key)));
+  const actions = [
+    { label: 'Copy name', onClick: (button) => copyToClipboard(button, data.name || '') },
+    { label: 'Copy UUID', onClick: (button) => copyToClipboard(button, data.uuid || '') },
+    { label: 'Copy JSON', onClick: (button) => copyToClipboard(button, JSON.stringify(copyJson, null, 2)) }
+  ];
+  if (data.consoleUrl) {
+    actions.push({ label: 'Open in UEM console', onClick: () => window.open(data.consoleUrl, '_blank', 'noopener') });
+  }
+  return actions;
+}
+
+function describeIndexAge(data){
+  const synced = data.indexedAt ? new Date(data.indexedAt).toLocaleString() : 'unknown';
+  return data.stale
+    ? `(from the local catalog, last synced ${synced} - may be outdated)`
+    : `(from the local catalog, synced ${synced})`;
+}
+
 function dismissInfoToasts(){
-  document.querySelectorAll('.uuid-resolver-toast.info')?.forEach(el => el.remove());
+  toastStack?.querySelectorAll('.toast.info').forEach(el => dismissToast(el));
+}
+
+// Bulk results: one table panel per page listing every UUID of a multi-UUID selection
+const BULK_COLUMNS = [
+  { key: 'uuid', label: 'UUID' },
+  { key: 'type', label: 'Type' },
+  { key: 'name', label: 'Name' },
+  { key: 'statusLabel', label: 'Status' }
+];
+
+function showBulkResults(rows, summary){
+  ensureStyle();
+  document.querySelector('.uuid-resolver-bulk')?.remove();
+  const panel = document.createElement('div');
+  panel.className = 'uuid-resolver-bulk';
+
+  const header = document.createElement('div');
+  header.className = 'bulk-header';
+  const title = document.createElement('div');
+  title.className = 'bulk-title';
+  title.textContent = summary || `${rows.length} UUIDs`;
+  const csvBtn = document.createElement('button');
+  csvBtn.textContent = 'Copy CSV';
+  csvBtn.addEventListener('click', () => copyToClipboard(csvBtn, formatRowsAsCsv(rows)));
+  const markdownBtn = document.createElement('button');
+  markdownBtn.textContent = 'Copy Markdown';
+  markdownBtn.addEventListener('click', () => copyToClipboard(markdownBtn, formatRowsAsMarkdown(rows)));
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'bulk-close';
+  closeBtn.setAttribute('aria-label', 'Close');
+  closeBtn.textContent = '×';
+  closeBtn.addEventListener('click', () => panel.remove());
+  header.append(title, csvBtn, markdownBtn, closeBtn);
+
+  const table = document.createElement('table');
+  const headRow = table.createTHead().insertRow();
+  BULK_COLUMNS.forEach(column => {
+    const th = document.createElement('th');
+    th.textContent = column.label;
+    headRow.appendChild(th);
+  });
+  const tbody = table.createTBody();
+  rows.forEach(row => {
+    const tr = tbody.insertRow();
+    tr.className = row.status || '';
+    BULK_COLUMNS.forEach(column => {
+      const td = tr.insertCell();
+      td.className = column.key === 'statusLabel' ? 'status' : column.key;
+      td.textContent = row[column.key] || '';
+    });
+    // Hover a failed row for the per-type breakdown
+    if (row.diagnostics) tr.title = row.diagnostics;
+  });
+
+  const body = document.createElement('div');
+  body.className = 'bulk-body';
+  body.appendChild(table);
+  panel.append(header, body);
+  document.body.appendChild(panel);
+}
+
+function formatRowsAsCsv(rows){
+  return [BULK_COLUMNS.map(column => column.label), ...rows.map(row => BULK_COLUMNS.map(column => row[column.key]))]
+    .map(cells => cells.map(CsvFormat.escapeCell).join(','))
+    .join('\n');
+}
+
+function formatRowsAsMarkdown(rows){
+  const escape = (value) => String(value || '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+  const lines = [
+    `| ${BULK_COLUMNS.map(column => column.label).join(' | ')} |`,
+    `| ${BULK_COLUMNS.map(() => '---').join(' | ')} |`
+  ];
+  rows.forEach(row => lines.push(`| ${BULK_COLUMNS.map(column => escape(row[column.key])).join(' | ')} |`));
+  return lines.join('\n');
+}
+
+async function copyToClipboard(button, text){
+  const label = button.textContent;
+  try {
+    await navigator.clipboard.writeText(text);
+    button.textContent = 'Copied';
+  } catch (error) {
+    debugLog('UUID Resolver: Clipboard write failed:', error);
+    button.textContent = 'Copy failed';
+  }
+  setTimeout(() => { button.textContent = label; }, 1500);
+}
+
+// DOM context around a UUID (field label, action title, node type), sent as a type hint
+const CONTEXT_MAX_DEPTH = 8;
+const CONTEXT_MAX_LENGTH = 200;
+const TITLE_SELECTOR = ':scope > h1, :scope > h2, :scope > h3, :scope > h4, :scope > h5, :scope > h6, :scope > [class*="title" i], :scope > [class*="header" i]';
+let lastContextMenuTarget = null;
+
+document.addEventListener('contextmenu', (event) => {
+  lastContextMenuTarget = event.target;
+}, true);
+
+function cleanContextText(text){
+  return (text || '').replace(/\s+/g, ' ').trim().slice(0, CONTEXT_MAX_LENGTH);
+}
+
+function findFieldLabel(el){
+  const aria = el.getAttribute('aria-label');
+  if (aria) return aria;
+  if (el.id) {
+    const label = document.querySelector(`label[for="${CSS.escape(el.id)}"]`);
+    if (label) return label.textContent;
+  }
+  const prev = el.previousElementSibling;
+  if (prev && (prev.tagName === 'LABEL' || /label/i.test(prev.className || ''))) return prev.textContent;
+  return '';
+}
+
+function findNodeType(el){
+  const attr = el.getAttribute('data-node-type') || el.getAttribute('data-action-type') || el.getAttribute('data-type');
+  if (attr) return attr;
+  const className = typeof el.className === 'string' ? el.className : '';
+  return /(^|[\s_-])(node|action|connector)([\s_-]|$)/i.test(className) ? className : '';
+}
+
+function captureUUIDContext(node){
+  const start = node && (node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement);
+  const context = { fieldLabel: '', actionTitle: '', nodeType: '' };
+  let current = start;
+  for (let depth = 0; current && current !== document.body && depth < CONTEXT_MAX_DEPTH; depth++) {
+    if (!context.fieldLabel) context.fieldLabel = cleanContextText(findFieldLabel(current));
+    if (!context.actionTitle) {
+      const heading = current.querySelector(TITLE_SELECTOR);
+      if (heading && !heading.contains(start)) context.actionTitle = cleanContextText(heading.textContent);
+    }
+    if (!context.nodeType) context.nodeType = cleanContextText(findNodeType(current));
+    current = current.parentElement;
+  }
+  return context;
+}
+
+function getSelectionContext(){
+  const selection = window.getSelection();
+  const anchor = selection && selection.rangeCount ? selection.anchorNode : null;
+  return captureUUIDContext(anchor || lastContextMenuTarget);
+}
+
+// Inline annotation: detect UUIDs in page text and show the resolved name next to them.
+// Dashless hex is left out here: hashes and tokens on the page would look like UUIDs.
+const ANNOTATION_MATCH_OPTIONS = { dashless: false };
+const OWN_ELEMENT_SELECTOR = '.uuid-resolver-info, .uuid-resolver-toast-container, .uuid-resolver-hover-tooltip, .uuid-resolver-replaced, .uuid-resolver-bulk';
+const SKIP_SELECTOR = `script,style,noscript,textarea,input,select,[contenteditable=""],[contenteditable="true"],${OWN_ELEMENT_SELECTOR}`;
+
+const annotatedTextNodes = new WeakSet(); // text nodes already followed by a chip
+const resolvedEntities = new Map(); // uuid -> entity | null (not found)
+const uuidContexts = new Map(); // uuid -> DOM context of its first occurrence
+const resolutionDiagnostics = new Map(); // uuid -> per-type failure lines from the service worker
+const resolveQueue = [];
+const pendingScanRoots = new Set();
+let annotationObserver = null;
+let scanTimer = null;
+let resolvingQueue = false;
+let resolutionUnavailable = null; // reason the service worker cannot resolve, e.g. not configured
+
+function startAnnotating(){
+  if (annotationObserver || !document.body) return;
+  annotationObserver = new MutationObserver(handleMutations);
+  annotationObserver.observe(document.body, { childList: true, subtree: true, characterData: true });
+  scheduleScan(document.body);
+}
+
+function stopAnnotating(){
+  if (annotationObserver) {
+    annotationObserver.disconnect();
+    annotationObserver = null;
+  }
+  clearTimeout(scanTimer);
+  pendingScanRoots.clear();
+  resolveQueue.length = 0;
+  removeAllChips();
+}
+
+function removeAllChips(){
+  document.querySelectorAll('.uuid-resolver-info[data-uuid]').forEach(chip => {
+    const text = chip.previousSibling;
+    if (text) annotatedTextNodes.delete(text);
+    chip.remove();
+  });
+}
+
+function handleMutations(mutations){
+  for (const mutation of mutations) {
+    if (mutation.type === 'characterData') {
+      // Canvas re-rendered the text in place: drop the stale chip and rescan
+      const node = mutation.target;
+      if (annotatedTextNodes.has(node)) {
+        annotatedTextNodes.delete(node);
+        const chip = node.nextSibling;
+        if (chip && chip.nodeType === Node.ELEMENT_NODE && chip.matches('.uuid-resolver-info[data-uuid]')) chip.remove();
+      }
+      scheduleScan(node);
+      continue;
+    }
+    mutation.addedNodes.forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE && node.matches(OWN_ELEMENT_SELECTOR)) return;
+      scheduleScan(node);
+    });
+  }
+}
+
+function scheduleScan(root){
+  pendingScanRoots.add(root);
+  clearTimeout(scanTimer);
+  scanTimer = setTimeout(flushScan, 300);
+}
+
+function flushScan(){
+  // Keep host mutations queued before the scan, but drop the ones caused by our own text splits
+  const queued = annotationObserver ? annotationObserver.takeRecords() : [];
+  const roots = Array.from(pendingScanRoots);
+  pendingScanRoots.clear();
+  roots.forEach(root => {
+    if (root.isConnected) scanForUUIDs(root);
+  });
+  if (annotationObserver) annotationObserver.takeRecords();
+  if (queued.length) handleMutations(queued);
+}
+
+function isSkippedTextNode(node){
+  const parent = node.parentElement;
+  return !parent || !!parent.closest(SKIP_SELECTOR);
+}
+
+/**
+ * Text nodes under root that contain a UUID, leaving out form fields and our own elements
+ */
+function findUUIDTextNodes(root){
+  const textNodes = [];
+  if (root.nodeType === Node.TEXT_NODE) {
+    textNodes.push(root);
+  } else if (root.nodeType === Node.ELEMENT_NODE) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => UUIDExtractor.findUUIDMatches(node.nodeValue, ANNOTATION_MATCH_OPTIONS).matches.length
+        ? NodeFilter.FILTER_ACCEPT
+        : NodeFilter.FILTER_REJECT
+    });
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+  }
+  return textNodes.filter(node => !isSkippedTextNode(node));
+}
+
+function scanForUUIDs(root){
+  findUUIDTextNodes(root).forEach(node => {
+    if (!annotatedTextNodes.has(node)) annotateTextNode(node);
+  });
+}
+
+function annotateTextNode(node){
+  const { matches } = UUIDExtractor.findUUIDMatches(node.nodeValue, ANNOTATION_MATCH_OPTIONS);
+  // Work from the last match backwards so earlier offsets stay valid while splitting
+  for (let i = matches.length - 1; i >= 0; i--) {
+    const match = matches[i];
+    const end = match.index + match.length;
+    const uuid = match.uuid;
+    if (end < node.nodeValue.length) node.splitText(end);
+    const chip = createChip(uuid);
+    node.parentNode.insertBefore(chip, node.nextSibling);
+    if (match.index > 0) {
+      const piece = node.splitText(match.index);
+      annotatedTextNodes.add(piece);
+    } else {
+      annotatedTextNodes.add(node);
+    }
+    if (!uuidContexts.has(uuid)) uuidContexts.set(uuid, captureUUIDContext(node));
+    renderChip(chip, uuid);
+  }
+}
+
+function createChip(uuid){
+  const chip = document.createElement('span');
+  chip.className = 'uuid-resolver-info';
+  chip.dataset.uuid = uuid;
+  return chip;
+}
+
+function renderChip(chip, uuid){
+  chip.textContent = '';
+  if (!resolvedEntities.has(uuid)) {
+    const loading = document.createElement('span');
+    loading.className = 'uuid-resolver-loading';
+    loading.innerHTML = '<span class="loading-spinner">⟳</span>';
+    chip.appendChild(loading);
+    enqueueResolution(uuid);
+    return;
+  }
+  const entity = resolvedEntities.get(uuid);
+  if (!entity) {
+    const error = document.createElement('span');
+    error.className = 'uuid-resolver-error';
+    const diagnostics = resolutionDiagnostics.get(uuid) || [];
+    error.title = ['UUID could not be resolved'].concat(diagnostics.map(d => `${d.name}: ${d.label}`)).join('\n');
+    error.innerHTML = '<span class="error-icon">?</span>';
+    chip.appendChild(error);
+    return;
+  }
+  chip.dataset.type = entity.type || '';
+  chip.classList.toggle('uuid-resolver-stale', !!entity.stale);
+  const name = document.createElement('span');
+  name.className = 'uuid-resolver-name';
+  name.textContent = entity.name || 'Unknown';
+  name.title = [entity.description || entity.name || ''].concat(entity.fromIndex ? [describeIndexAge(entity)] : []).join('\n');
+  const type = document.createElement('span');
+  type.className = 'uuid-resolver-type';
+  type.textContent = entity.subType || entity.type || 'Entity';
+  chip.append(name, type);
+}
+
+function refreshChips(uuid){
+  document.querySelectorAll('.uuid-resolver-info[data-uuid]').forEach(chip => {
+    if (chip.dataset.uuid === uuid) renderChip(chip, uuid);
+  });
+}
+
+// first: resolve next, e.g. for the UUID under the pointer, instead of after the page's backlog
+function enqueueResolution(uuid, { first = false } = {}){
+  const index = resolveQueue.indexOf(uuid);
+  // While the queue is worked off its head is in flight
+  const front = resolvingQueue ? 1 : 0;
+  if (index !== -1 && (!first || index <= front)) return;
+  if (index !== -1) resolveQueue.splice(index, 1);
+  if (first) resolveQueue.splice(front, 0, uuid); else resolveQueue.push(uuid);
+  processResolveQueue();
+}
+
+// Resolve one UUID at a time so a large workflow does not flood the service worker
+async function processResolveQueue(){
+  if (resolvingQueue) return;
+  resolvingQueue = true;
+  try {
+    while (resolveQueue.length) {
+      const uuid = resolveQueue[0];
+      let resp;
+      try {
+        resp = await chrome.runtime.sendMessage({ action: 'resolveDetectedUUID', uuid, context: uuidContexts.get(uuid) });
+      } catch (_) {
+        resp = null;
+      }
+      // The queue may have been cleared or reordered while the request was out
+      if (resolveQueue[0] === uuid) resolveQueue.shift();
+      if (resp?.success && resp.data && !resp.data.configured) {
+        // Not configured yet: stop annotating instead of retrying every UUID
+        debugLog('UUID Resolver: Inline annotation paused -', resp.data.error);
+        resolutionUnavailable = resp.data.error;
+        stopAnnotating();
+        refreshHoverTooltip(uuid);
+        refreshReplacements();
+        return;
+      }
+      resolvedEntities.set(uuid, resp?.success ? (resp.data.entity || null) : null);
+      if (resp?.success && resp.data.diagnostics?.length) resolutionDiagnostics.set(uuid, resp.data.diagnostics);
+      refreshChips(uuid);
+      refreshHoverTooltip(uuid);
+      refreshReplacements(uuid);
+    }
+  } finally {
+    resolvingQueue = false;
+  }
+}
+
+// Hover tooltips (opt-in): resting the pointer on UUID text shows the resolved entity. Entities
+// already resolved on the page are reused; otherwise the UUID goes to the front of the resolve
+// queue and the tooltip shows a spinner until the answer arrives.
+const HOVER_DWELL_MS = 400;
+const HOVER_MAX_FIELDS = 4;
+const HOVER_TOOLTIP_STYLE = `
+  :host{all:initial;position:fixed;z-index:2147483647;pointer-events:none}
+  .tooltip{box-sizing:border-box;max-width:360px;padding:8px 10px;border-radius:6px;background:#1f2937;color:#f9fafb;box-shadow:0 4px 14px rgba(0,0,0,.25);font:12px/1.4 -apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif}
+  .header{display:flex;align-items:center;gap:8px}
+  .name{flex:1;min-width:0;font-size:13px;font-weight:700;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+  .type{padding:1px 6px;border-radius:9999px;background:#4b5563;font-size:10px;font-weight:700;letter-spacing:.02em;text-transform:uppercase;white-space:nowrap}
+  .line{white-space:pre-wrap;word-break:break-word;color:#e5e7eb}
+  .uuid{margin-top:2px;font-family:'SF Mono',Monaco,'Cascadia Code',monospace;font-size:11px;color:#d1d5db}
+  .spinner{display:inline-block;animation:spin 1s linear infinite}
+  @keyframes spin{to{transform:rotate(360deg)}}
+`;
+let hoverTimer = null;
+let hoverTooltip = null; // { host, box, uuid, rect } of the visible tooltip
+
+function startHoverTooltips(){
+  document.addEventListener('mousemove', handleHoverMove, true);
+  document.addEventListener('keydown', handleHoverKey, true);
+  document.addEventListener('scroll', hideHoverTooltip, true);
+}
+
+function stopHoverTooltips(){
+  document.removeEventListener('mousemove', handleHoverMove, true);
+  document.removeEventListener('keydown', handleHoverKey, true);
+  document.removeEventListener('scroll', hideHoverTooltip, true);
+  clearTimeout(hoverTimer);
+  hideHoverTooltip();
+}
+
+function handleHoverMove(event){
+  clearTimeout(hoverTimer);
+  const { clientX: x, clientY: y } = event;
+  if (hoverTooltip) {
+    const { rect } = hoverTooltip;
+    if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) return;
+    hideHoverTooltip();
+  }
+  // No tooltips while selecting text
+  if (event.buttons) return;
+  hoverTimer = setTimeout(() => {
+    const target = findUUIDAtPoint(x, y);
+    if (target) showHoverTooltip(target);
+  }, HOVER_DWELL_MS);
+}
+
+function handleHoverKey(event){
+  if (event.key === 'Escape' && hoverTooltip) hideHoverTooltip();
+}
+
+/**
+ * The UUID in the page text under the pointer: { uuid, node, rect } or null
+ */
+function findUUIDAtPoint(x, y){
+  let node = null;
+  let offset = 0;
+  if (document.caretPositionFromPoint) {
+    const position = document.caretPositionFromPoint(x, y);
+    node = position?.offsetNode;
+    offset = position?.offset || 0;
+  } else if (document.caretRangeFromPoint) {
+    const range = document.caretRangeFromPoint(x, y);
+    node = range?.startContainer;
+    offset = range?.startOffset || 0;
+  }
+  if (!node || node.nodeType !== Node.TEXT_NODE || isSkippedTextNode(node)) return null;
+
+  const { matches } = UUIDExtractor.findUUIDMatches(node.nodeValue, ANNOTATION_MATCH_OPTIONS);
+  const match = matches.find(m => offset >= m.index && offset <= m.index + m.length);
+  if (!match) return null;
+  const range = document.createRange();
+  range.setStart(node, match.index);
+  range.setEnd(node, match.index + match.length);
+  const rect = range.getBoundingClientRect();
+  // The caret snaps to the nearest character, so check the pointer is really over the UUID
+  if (x < rect.left || x > rect.right || y < rect.top || y > rect.bottom) return null;
+  return { uuid: match.uuid, node, rect };
+}
+
+function showHoverTooltip({ uuid, node, rect }){
+  hideHoverTooltip();
+  const host = document.createElement('div');
+  host.className = 'uuid-resolver-hover-tooltip';
+  const shadow = host.attachShadow({ mode: 'closed' });
+  const style = document.createElement('style');
+  style.textContent = HOVER_TOOLTIP_STYLE;
+  const box = createTextElement('div', 'tooltip', '');
+  box.setAttribute('role', 'tooltip');
+  shadow.append(style, box);
+  document.body.appendChild(host);
+  hoverTooltip = { host, box, uuid, rect };
+
+  if (!uuidContexts.has(uuid)) uuidContexts.set(uuid, captureUUIDContext(node));
+  renderHoverTooltip();
+  if (!resolvedEntities.has(uuid) && !resolutionUnavailable) enqueueResolution(uuid, { first: true });
+}
+
+function hideHoverTooltip(){
+  hoverTooltip?.host.remove();
+  hoverTooltip = null;
+}
+
+function refreshHoverTooltip(uuid){
+  if (hoverTooltip?.uuid === uuid) renderHoverTooltip();
+}
+
+function renderHoverTooltip(){
+  const { host, box, uuid, rect } = hoverTooltip;
+  box.textContent = '';
+  const header = createTextElement('div', 'header', '');
+  box.appendChild(header);
+
+  if (!resolvedEntities.has(uuid)) {
+    if (resolutionUnavailable) {
+      header.appendChild(createTextElement('span', 'name', 'UUID Resolver is not set up'));
+      box.appendChild(createTextElement('div', 'line', resolutionUnavailable));
+    } else {
+      header.append(createTextElement('span', 'spinner', '⟳'), createTextElement('span', 'name', 'Resolving…'));
+    }
+  } else {
+    const entity = resolvedEntities.get(uuid);
+    if (!entity) {
+      header.appendChild(createTextElement('span', 'name', 'UUID could not be resolved'));
+      (resolutionDiagnostics.get(uuid) || []).forEach(d => box.appendChild(createTextElement('div', 'line', `${d.name}: ${d.label}`)));
+    } else {
+      header.append(
+        createTextElement('span', 'name', entity.name || 'Unknown'),
+        createTextElement('span', 'type', entity.subType || entity.type || 'Entity')
+      );
+      const fields = Array.isArray(entity.details) ? entity.details.slice(0, HOVER_MAX_FIELDS) : [];
+      fields.forEach(d => box.appendChild(createTextElement('div', 'line', `${d.label}: ${d.value}`)));
+      if (entity.fromIndex) box.appendChild(createTextElement('div', 'line', describeIndexAge(entity)));
+    }
+  }
+  box.appendChild(createTextElement('div', 'uuid', uuid));
+
+  // Below the UUID, or above it when there is no room left in the viewport
+  const height = box.offsetHeight;
+  const top = rect.bottom + 6 + height > window.innerHeight ? rect.top - 6 - height : rect.bottom + 6;
+  host.style.left = `${Math.max(4, Math.min(rect.left, window.innerWidth - box.offsetWidth - 4))}px`;
+  host.style.top = `${Math.max(4, top)}px`;
+}
+
+// Replace-in-place mode (per tab, switched in the popup): UUIDs in the page text are shown as
+// "Name (type)" chips, e.g. for screenshots. A replaced text node stays in the page, emptied, with
+// the stand-in nodes after it; switching off puts its text back and removes them. The page may
+// re-render meanwhile, so stand-ins whose text node was removed are dropped, and a text node the
+// page writes to is restored and replaced again from its new text.
+const replacedTextNodes = new Map(); // original text node -> { text, parts }
+const pendingReplaceRoots = new Set();
+let replaceMode = false;
+let replacementObserver = null;
+let replaceScanTimer = null;
+// HTML stand-ins only render inside HTML; an SVG <text> would drop them
+const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+function setReplaceMode(enabled){
+  if (enabled === replaceMode) return;
+  replaceMode = enabled;
+  if (enabled) {
+    // Annotation chips next to the replaced names would only repeat them
+    stopAnnotating();
+    replacementObserver = new MutationObserver(handleReplacementMutations);
+    replacementObserver.observe(document.body, { childList: true, subtree: true, characterData: true });
+    replaceUUIDText(document.body);
+    replacementObserver.takeRecords();
+  } else {
+    replacementObserver.disconnect();
+    replacementObserver = null;
+    clearTimeout(replaceScanTimer);
+    pendingReplaceRoots.clear();
+    Array.from(replacedTextNodes.keys()).forEach(restoreTextNode);
+    if (autoAnnotate) startAnnotating();
+  }
+}
+
+function replaceUUIDText(root){
+  findUUIDTextNodes(root).forEach(node => {
+    if (!replacedTextNodes.has(node)) replaceTextNode(node);
+  });
+}
+
+function replaceTextNode(node){
+  if (node.parentElement?.namespaceURI !== XHTML_NAMESPACE) return;
+  const text = node.nodeValue;
+  const { matches } = UUIDExtractor.findUUIDMatches(text, ANNOTATION_MATCH_OPTIONS);
+  if (!matches.length) return;
+  const parts = [];
+  let last = 0;
+  matches.forEach(match => {
+    if (match.index > last) parts.push(document.createTextNode(text.slice(last, match.index)));
+    const chip = document.createElement('span');
+    chip.className = 'uuid-resolver-replaced';
+    chip.dataset.uuid = match.uuid;
+    chip.dataset.text = text.slice(match.index, match.index + match.length);
+    parts.push(chip);
+    last = match.index + match.length;
+  });
+  if (last < text.length) parts.push(document.createTextNode(text.slice(last)));
+
+  matches.forEach(match => {
+    if (!uuidContexts.has(match.uuid)) uuidContexts.set(match.uuid, captureUUIDContext(node));
+  });
+  node.after(...parts);
+  node.nodeValue = '';
+  replacedTextNodes.set(node, { text, parts });
+  parts.forEach(part => {
+    if (part.nodeType === Node.ELEMENT_NODE) renderReplacement(part);
+  });
+}
+
+/**
+ * Put the original text back and remove the stand-ins that are still in the page
+ */
+function restoreTextNode(node){
+  const record = replacedTextNodes.get(node);
+  if (!record) return;
+  replacedTextNodes.delete(node);
+  record.parts.forEach(part => part.remove());
+  if (node.nodeValue === '') node.nodeValue = record.text;
+}
+
+function renderReplacement(chip){
+  const uuid = chip.dataset.uuid;
+  const entity = resolvedEntities.get(uuid);
+  chip.title = `UUID: ${uuid}`;
+  chip.classList.toggle('unresolved', !entity);
+  chip.classList.toggle('uuid-resolver-stale', !!entity?.stale);
+  if (entity) {
+    chip.dataset.type = entity.type || '';
+    chip.textContent = `${entity.name || 'Unknown'} (${entity.subType || entity.type || 'entity'})`;
+    return;
+  }
+  // Keep the UUID text while it resolves or when it cannot be resolved
+  chip.textContent = chip.dataset.text;
+  if (!resolvedEntities.has(uuid) && !resolutionUnavailable) enqueueResolution(uuid);
+}
+
+function refreshReplacements(uuid){
+  if (!replaceMode) return;
+  replacedTextNodes.forEach(({ parts }) => {
+    parts.forEach(part => {
+      if (part.nodeType === Node.ELEMENT_NODE && (!uuid || part.dataset.uuid === uuid)) renderReplacement(part);
+    });
+  });
+}
+
+function handleReplacementMutations(mutations){
+  let removed = false;
+  for (const mutation of mutations) {
+    if (mutation.type === 'characterData') {
+      const node = mutation.target;
+      if (replacedTextNodes.has(node) && node.nodeValue !== '') {
+        // The page wrote new text into a replaced node: forget the old stand-ins, replace again
+        const { parts } = replacedTextNodes.get(node);
+        replacedTextNodes.delete(node);
+        parts.forEach(part => part.remove());
+      }
+      if (!node.parentElement?.closest(OWN_ELEMENT_SELECTOR)) scheduleReplaceScan(node);
+      continue;
+    }
+    if (mutation.removedNodes.length) removed = true;
+    mutation.addedNodes.forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE && node.matches(OWN_ELEMENT_SELECTOR)) return;
+      if (node.nodeType === Node.TEXT_NODE && node.parentElement?.closest(OWN_ELEMENT_SELECTOR)) return;
+      scheduleReplaceScan(node);
+    });
+  }
+  if (removed) dropDetachedReplacements();
+}
+
+/**
+ * After a re-render: forget text nodes the page removed, together with their stand-ins, and
+ * restore text nodes whose stand-ins the page removed so no UUID disappears or shows twice
+ */
+function dropDetachedReplacements(){
+  Array.from(replacedTextNodes.entries()).forEach(([node, { parts }]) => {
+    if (!node.isConnected) {
+      replacedTextNodes.delete(node);
+      parts.forEach(part => part.remove());
+    } else if (parts.some(part => !part.isConnected)) {
+      restoreTextNode(node);
+      scheduleReplaceScan(node);
+    }
+  });
+}
+
+function scheduleReplaceScan(root){
+  pendingReplaceRoots.add(root);
+  clearTimeout(replaceScanTimer);
+  replaceScanTimer = setTimeout(flushReplaceScan, 300);
+}
+
+function flushReplaceScan(){
+  if (!replacementObserver) return;
+  // Same as flushScan: keep the page's mutations, drop the ones caused by our replacements
+  const queued = replacementObserver.takeRecords();
+  const roots = Array.from(pendingReplaceRoots);
+  pendingReplaceRoots.clear();
+  roots.forEach(root => {
+    if (root.isConnected) replaceUUIDText(root);
+  });
+  replacementObserver.takeRecords();
+  if (queued.length) handleReplacementMutations(queued);
 }
 
 // Listen for messages from background script
@@ -99,7 +971,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     // Use entity name as prominent title and show type as a pill
     const entityTitle = message.data.name || 'UUID Resolved';
     const badge = message.data.subType || message.data.type || 'Entity';
-    showToast(entityTitle, body, 'success', 12000, true, badge);
+    showToast(entityTitle, body, 'success', 12000, true, badge, getEntityToastActions(message.data));
     sendResponse?.({ ok: true });
     return; // handled
   }
@@ -112,6 +984,42 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     sendResponse?.({ ok: true });
     return;
   }
+  if (message?.action === 'displayBulkResults' && Array.isArray(message.rows)) {
+    dismissInfoToasts();
+    showBulkResults(message.rows, message.summary);
+    sendResponse?.({ ok: true });
+    return;
+  }
+  if (message?.action === 'getSelection') {
+    const text = window.getSelection()?.toString() || '';
+    sendResponse?.({ success: true, text, context: text ? getSelectionContext() : null });
+    return;
+  }
+  if (message?.action === 'getReplaceMode' || message?.action === 'setReplaceMode') {
+    if (message.action === 'setReplaceMode') setReplaceMode(!!message.enabled);
+    sendResponse?.({ success: true, enabled: replaceMode, replaced: replacedTextNodes.size });
+    return;
+  }
+  if (message?.action === 'focusNextToast') {
+    sendResponse?.({ success: true, focused: focusNextToast() });
+    return;
+  }
+  if (message?.action === 'getSelectionContext') {
+    sendResponse?.({ success: true, context: getSelectionContext() });
+    return;
+  }
+  if (message?.action === 'refreshResolution') {
+    resolutionUnavailable = null;
+    hideHoverTooltip();
+    resolvedEntities.clear();
+    uuidContexts.clear();
+    resolutionDiagnostics.clear();
+    stopAnnotating();
+    if (autoAnnotate && !replaceMode) startAnnotating();
+    refreshReplacements();
+    sendResponse?.({ success: true });
+    return;
+  }
   if (message?.action === 'ping') {
     sendResponse?.({ success: true, message: 'Content script is active' });
     return;
@@ -9,6 +9,22 @@ let currentSettings = {};
 let autoSaveTimeout = null;
 let isDirty = false;
 let isInitialized = false;
+let cacheEntries = [];
+let cacheRefreshTimer = null;
+let draggedEntityCard = null;
+let environments = [];
+let selectedEnvironmentId = null;
+let defaultEnvironmentId = null;
+
+// Per-environment fields (must match ENVIRONMENT_FIELDS in the service worker)
+const BUILT_IN_ENTITY_TYPES = ['tag', 'script', 'organizationGroup', 'application', 'product', 'profile', 'smartGroup', 'device', 'user'];
+const RESOLVER_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,39}$/;
+
+const ENVIRONMENT_FIELDS = [
+  'serverUrl', 'consoleUrl', 'organizationGroupId', 'authType',
+  'username', 'password', 'apiKey',
+  'clientId', 'clientSecret', 'tokenUrl'
+];
 
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', async () => {
@@ -19,6 +35,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     setupEventListeners();
     await loadSettings();
     await updateStats();
+    await loadCacheEntries();
+    await loadCatalogSyncStatus();
+    await updateTokenStatus();
     updateStatus();
     
     isInitialized = true;
@@ -41,6 +60,17 @@ async function initializeOptionsPage() {
   // Initial auth type setup
   toggleAuthType();
   
+  // Environment profiles. Registered before the auto-save listeners so the form is
+  // stored into the previous profile before the switch is saved.
+  document.getElementById('environmentSelect').addEventListener('change', handleEnvironmentSwitch);
+  document.getElementById('environmentName').addEventListener('input', renderEnvironmentSelect);
+  document.getElementById('environmentDefault').addEventListener('change', handleDefaultEnvironmentChange);
+  document.getElementById('addEnvironmentBtn').addEventListener('click', handleAddEnvironment);
+  document.getElementById('deleteEnvironmentBtn').addEventListener('click', handleDeleteEnvironment);
+  
+  // Custom resolver cards follow the JSON as it is edited
+  document.getElementById('customResolvers').addEventListener('input', handleCustomResolversInput);
+  
   // Set version in footer
   const manifest = chrome.runtime.getManifest();
   const versionText = document.querySelector('.footer-info p');
@@ -54,11 +84,11 @@ async function initializeOptionsPage() {
  */
 function setupEventListeners() {
   // Auto-save on input changes
-  const inputs = document.querySelectorAll('input[type="text"], input[type="url"], input[type="password"], input[type="number"], select');
+  const inputs = document.querySelectorAll('input[type="text"], input[type="url"], input[type="password"], input[type="number"], select, textarea');
   console.log('UUID Resolver Options: Setting up auto-save for', inputs.length, 'input fields');
   
   inputs.forEach((input, index) => {
-    if (input.id !== 'authToken') { // Don't auto-save readonly OAuth token
+    if (input.id !== 'tokenStatus') { // Don't auto-save readonly OAuth token status
       console.log(`UUID Resolver Options: Adding listeners to input ${index}: ${input.id || input.name || 'unnamed'}`);
       input.addEventListener('input', handleInputChange);
       input.addEventListener('change', handleInputChange);
@@ -80,6 +110,12 @@ function setupEventListeners() {
   document.getElementById('refreshBtn').addEventListener('click', handleRefresh);
   document.getElementById('exportSettingsBtn').addEventListener('click', handleExportSettings);
   document.getElementById('resetSettingsBtn').addEventListener('click', handleResetSettings);
+  document.getElementById('clearCacheBtn').addEventListener('click', handleClearCache);
+  document.getElementById('cacheSearch').addEventListener('input', renderCacheList);
+  document.getElementById('syncCatalogBtn').addEventListener('click', handleSyncCatalog);
+  
+  // Entity type ordering
+  setupEntityTypeDragAndDrop();
   document.getElementById('openOptionsBtn').addEventListener('click', () => {
     chrome.tabs.create({ url: 'chrome://extensions/' });
   });
@@ -312,39 +348,42 @@ async function saveSettings(settings) {
  * Collect settings from form
  */
 function collectSettings() {
+  storeEnvironmentForm();
+  const defaultEnvironment = getDefaultEnvironment();
+  
   return {
-    serverUrl: document.getElementById('serverUrl').value.trim(),
-    organizationGroupId: parseInt(document.getElementById('organizationGroupId').value) || null,
-    authType: document.getElementById('authType').value,
-    
-    // Basic auth
-    username: document.getElementById('username').value.trim(),
-    password: document.getElementById('password').value,
-    apiKey: document.getElementById('apiKey').value.trim(),
-    
-    // OAuth
-    clientId: document.getElementById('clientId').value.trim(),
-    clientSecret: document.getElementById('clientSecret').value.trim(),
-    tokenUrl: document.getElementById('tokenUrl').value.trim(),
-    authToken: document.getElementById('authToken').value,
+    // Environment profiles; the flat server/auth fields mirror the default profile
+    environments: environments.map(environment => ({ ...environment, hostPatterns: [...environment.hostPatterns] })),
+    defaultEnvironmentId: defaultEnvironment.id,
+    ...getEnvironmentFields(defaultEnvironment),
     
     // General settings
     showTooltips: document.getElementById('showTooltips').checked, // repurposed: show extra fields in success toast
+    autoAnnotate: document.getElementById('autoAnnotate').checked,
+    hoverTooltips: document.getElementById('hoverTooltips').checked,
+    
+    // Privacy: PII fields masked in device/user results
+    maskedFields: Array.from(document.querySelectorAll('input[data-mask-field]'))
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => checkbox.dataset.maskField),
     
     // Advanced settings
     apiTimeout: parseInt(document.getElementById('apiTimeout').value) * 1000, // Convert to ms
+    cacheTtl: parseCacheTtl(document.getElementById('cacheTtl').value),
     maxConcurrentRequests: parseInt(document.getElementById('maxConcurrentRequests').value),
+    indexChildOrganizationGroups: document.getElementById('indexChildOrganizationGroups').checked,
+    catalogSyncEnabled: document.getElementById('catalogSyncEnabled').checked,
+    catalogSyncInterval: parseCatalogSyncInterval(document.getElementById('catalogSyncInterval').value),
     debugMode: document.getElementById('debugMode').checked,
     
-    // Entity types
-    entityTypes: {
-      tag: document.getElementById('entityTag').checked,
-      application: document.getElementById('entityApplication').checked,
-      profile: document.getElementById('entityProfile').checked,
-      script: document.getElementById('entityScript').checked,
-      product: document.getElementById('entityProduct').checked,
-      organizationGroup: document.getElementById('entityOrganizationGroup').checked
-    }
+    // Entity types (built-in and custom cards)
+    entityTypes: getEntityTypeSwitches(),
+    entityTypeOrder: getEntityTypeOrder(),
+    customResolvers: collectCustomResolvers(),
+    
+    // Type inference
+    typeInferenceMode: document.getElementById('typeInferenceMode').value,
+    typeInferenceRules: parseTypeInferenceRules(document.getElementById('typeInferenceRules').value)
   };
 }
 
@@ -353,28 +392,33 @@ function collectSettings() {
  */
 function populateForm(settings) {
   try {
-    // Basic settings
-    document.getElementById('serverUrl').value = settings.serverUrl || '';
-    document.getElementById('organizationGroupId').value = settings.organizationGroupId || '';
-    document.getElementById('authType').value = settings.authType || 'basic';
-    
-    // Basic auth
-    document.getElementById('username').value = settings.username || '';
-    document.getElementById('password').value = settings.password || '';
-    document.getElementById('apiKey').value = settings.apiKey || '';
-    
-    // OAuth
-    document.getElementById('clientId').value = settings.clientId || '';
-    document.getElementById('clientSecret').value = settings.clientSecret || '';
-    document.getElementById('tokenUrl').value = settings.tokenUrl || '';
-    document.getElementById('authToken').value = settings.authToken || '';
+    // Environment profiles (server, OG and credentials)
+    environments = getEnvironmentsFromSettings(settings);
+    defaultEnvironmentId = environments.some(environment => environment.id === settings.defaultEnvironmentId)
+      ? settings.defaultEnvironmentId
+      : environments[0].id;
+    selectedEnvironmentId = defaultEnvironmentId;
+    populateEnvironmentForm(getSelectedEnvironment());
+    renderEnvironmentSelect();
     
     // General settings
     document.getElementById('showTooltips').checked = settings.showTooltips !== false;
+    document.getElementById('autoAnnotate').checked = settings.autoAnnotate !== false;
+    document.getElementById('hoverTooltips').checked = settings.hoverTooltips === true;
+    
+    // Privacy
+    const maskedFields = Array.isArray(settings.maskedFields) ? settings.maskedFields : getDefaultSettings().maskedFields;
+    document.querySelectorAll('input[data-mask-field]').forEach(checkbox => {
+      checkbox.checked = maskedFields.includes(checkbox.dataset.maskField);
+    });
     
     // Advanced settings
     document.getElementById('apiTimeout').value = Math.floor((settings.apiTimeout || 30000) / 1000); // Convert to seconds
+    document.getElementById('cacheTtl').value = settings.cacheTtl === undefined || settings.cacheTtl === null ? 24 : settings.cacheTtl / 3600000; // Convert to hours
     document.getElementById('maxConcurrentRequests').value = settings.maxConcurrentRequests || 5;
+    document.getElementById('indexChildOrganizationGroups').checked = settings.indexChildOrganizationGroups || false;
+    document.getElementById('catalogSyncEnabled').checked = settings.catalogSyncEnabled || false;
+    document.getElementById('catalogSyncInterval').value = (settings.catalogSyncInterval || 6 * 3600000) / 3600000; // Convert to hours
     document.getElementById('debugMode').checked = settings.debugMode || false;
     
     // Entity types
@@ -385,6 +429,18 @@ function populateForm(settings) {
     document.getElementById('entityScript').checked = entityTypes.script !== false;
     document.getElementById('entityProduct').checked = entityTypes.product !== false;
     document.getElementById('entityOrganizationGroup').checked = entityTypes.organizationGroup !== false;
+    document.getElementById('entitySmartGroup').checked = entityTypes.smartGroup !== false;
+    document.getElementById('entityDevice').checked = entityTypes.device !== false;
+    document.getElementById('entityUser').checked = entityTypes.user !== false;
+    const customResolvers = Array.isArray(settings.customResolvers) ? settings.customResolvers : [];
+    document.getElementById('customResolvers').value = customResolvers.length ? JSON.stringify(customResolvers, null, 2) : '';
+    document.getElementById('customResolversStatus').textContent = '';
+    renderCustomEntityCards(customResolvers, entityTypes);
+    applyEntityTypeOrder(settings.entityTypeOrder || getDefaultSettings().entityTypeOrder);
+    
+    // Type inference
+    document.getElementById('typeInferenceMode').value = settings.typeInferenceMode || 'prefer';
+    document.getElementById('typeInferenceRules').value = formatTypeInferenceRules(settings.typeInferenceRules || getDefaultSettings().typeInferenceRules);
     
     // Update auth type visibility
     toggleAuthType();
@@ -395,12 +451,181 @@ function populateForm(settings) {
   }
 }
 
+/**
+ * Environment profiles from settings. Settings saved before profiles existed
+ * become a single "Default" profile built from the flat server/auth fields.
+ */
+function getEnvironmentsFromSettings(settings) {
+  if (Array.isArray(settings.environments) && settings.environments.length > 0) {
+    return settings.environments.map(environment => ({
+      ...environment,
+      hostPatterns: Array.isArray(environment.hostPatterns) ? [...environment.hostPatterns] : []
+    }));
+  }
+  
+  return [{ id: 'default', name: 'Default', hostPatterns: [], ...getEnvironmentFields(settings) }];
+}
+
+function getEnvironmentFields(source) {
+  const fields = {};
+  ENVIRONMENT_FIELDS.forEach(field => {
+    fields[field] = source[field];
+  });
+  fields.organizationGroupId = fields.organizationGroupId || null;
+  fields.authType = fields.authType || 'basic';
+  return fields;
+}
+
+function getSelectedEnvironment() {
+  return environments.find(environment => environment.id === selectedEnvironmentId) || environments[0];
+}
+
+function getDefaultEnvironment() {
+  return environments.find(environment => environment.id === defaultEnvironmentId) || environments[0];
+}
+
+/**
+ * Copy the server/auth form fields into the selected environment
+ */
+function storeEnvironmentForm() {
+  const environment = getSelectedEnvironment();
+  if (!environment) return;
+  
+  Object.assign(environment, {
+    name: document.getElementById('environmentName').value.trim() || 'Unnamed',
+    hostPatterns: document.getElementById('environmentHosts').value.split(/[\s,]+/).filter(Boolean),
+    serverUrl: document.getElementById('serverUrl').value.trim(),
+    consoleUrl: document.getElementById('consoleUrl').value.trim(),
+    organizationGroupId: parseInt(document.getElementById('organizationGroupId').value) || null,
+    authType: document.getElementById('authType').value,
+    
+    // Basic auth
+    username: document.getElementById('username').value.trim(),
+    password: document.getElementById('password').value,
+    apiKey: document.getElementById('apiKey').value.trim(),
+    
+    // OAuth
+    clientId: document.getElementById('clientId').value.trim(),
+    clientSecret: document.getElementById('clientSecret').value.trim(),
+    tokenUrl: document.getElementById('tokenUrl').value.trim()
+  });
+}
+
+/**
+ * Fill the server/auth form fields from an environment
+ */
+function populateEnvironmentForm(environment) {
+  document.getElementById('environmentName').value = environment.name || '';
+  document.getElementById('environmentHosts').value = (environment.hostPatterns || []).join(', ');
+  document.getElementById('environmentDefault').checked = environment.id === defaultEnvironmentId;
+  document.getElementById('deleteEnvironmentBtn').disabled = environments.length < 2;
+  
+  document.getElementById('serverUrl').value = environment.serverUrl || '';
+  document.getElementById('consoleUrl').value = environment.consoleUrl || '';
+  document.getElementById('organizationGroupId').value = environment.organizationGroupId || '';
+  document.getElementById('authType').value = environment.authType || 'basic';
+  
+  // Basic auth
+  document.getElementById('username').value = environment.username || '';
+  document.getElementById('password').value = environment.password || '';
+  document.getElementById('apiKey').value = environment.apiKey || '';
+  
+  // OAuth
+  document.getElementById('clientId').value = environment.clientId || '';
+  document.getElementById('clientSecret').value = environment.clientSecret || '';
+  document.getElementById('tokenUrl').value = environment.tokenUrl || '';
+  
+  toggleAuthType();
+}
+
+/**
+ * Rebuild the environment dropdown (also keeps the selected option's label in sync while typing)
+ */
+function renderEnvironmentSelect() {
+  const select = document.getElementById('environmentSelect');
+  const nameField = document.getElementById('environmentName');
+  select.innerHTML = '';
+  
+  environments.forEach(environment => {
+    const option = document.createElement('option');
+    option.value = environment.id;
+    const name = environment.id === selectedEnvironmentId ? (nameField.value.trim() || environment.name) : environment.name;
+    option.textContent = environment.id === defaultEnvironmentId ? `${name} (default)` : name;
+    select.appendChild(option);
+  });
+  
+  select.value = selectedEnvironmentId;
+}
+
+/**
+ * Switch the form to another environment, keeping the edits made to the current one
+ */
+function handleEnvironmentSwitch(event) {
+  storeEnvironmentForm();
+  selectedEnvironmentId = event.target.value;
+  populateEnvironmentForm(getSelectedEnvironment());
+  updateTokenStatus();
+}
+
+/**
+ * The default profile can only be changed by marking another profile as default
+ */
+function handleDefaultEnvironmentChange(event) {
+  if (event.target.checked) {
+    defaultEnvironmentId = selectedEnvironmentId;
+  } else if (selectedEnvironmentId === defaultEnvironmentId) {
+    event.target.checked = true;
+    showToast('Mark another profile as default instead', 'info');
+  }
+  renderEnvironmentSelect();
+}
+
+/**
+ * Add an environment, starting from the current one's server and auth type
+ */
+function handleAddEnvironment() {
+  storeEnvironmentForm();
+  const current = getSelectedEnvironment();
+  const environment = {
+    ...getEnvironmentFields({ serverUrl: current.serverUrl, authType: current.authType }),
+    id: `env-${Date.now().toString(36)}`,
+    name: `Environment ${environments.length + 1}`,
+    hostPatterns: []
+  };
+  
+  environments.push(environment);
+  selectedEnvironmentId = environment.id;
+  populateEnvironmentForm(environment);
+  renderEnvironmentSelect();
+  handleInputChange({ target: { id: 'environments' } });
+}
+
+/**
+ * Delete the selected environment (the last one cannot be deleted)
+ */
+function handleDeleteEnvironment() {
+  if (environments.length < 2) return;
+  
+  const environment = getSelectedEnvironment();
+  if (!confirm(`Delete the environment "${environment.name}"?`)) return;
+  
+  environments = environments.filter(candidate => candidate !== environment);
+  if (defaultEnvironmentId === environment.id) {
+    defaultEnvironmentId = environments[0].id;
+  }
+  selectedEnvironmentId = defaultEnvironmentId;
+  populateEnvironmentForm(getSelectedEnvironment());
+  renderEnvironmentSelect();
+  handleInputChange({ target: { id: 'environments' } });
+}
+
 /**
  * Get default settings
  */
 function getDefaultSettings() {
   return {
     serverUrl: '',
+    consoleUrl: '',
     authType: 'basic',
     username: '',
     password: '',
@@ -408,10 +633,15 @@ function getDefaultSettings() {
     clientId: '',
     clientSecret: '',
     tokenUrl: '',
-    authToken: '',
     showTooltips: true, // repurposed: show extra fields in success toast
+    autoAnnotate: true,
+    hoverTooltips: false,
     apiTimeout: 30000, // 30 seconds
+    cacheTtl: 24 * 3600000, // 24 hours
     maxConcurrentRequests: 5,
+    indexChildOrganizationGroups: false,
+    catalogSyncEnabled: false,
+    catalogSyncInterval: 6 * 3600000, // 6 hours
     debugMode: false,
     entityTypes: {
       tag: true,
@@ -419,8 +649,16 @@ function getDefaultSettings() {
       profile: true,
       script: true,
       product: true,
-      organizationGroup: true
-    }
+      organizationGroup: true,
+      smartGroup: true,
+      device: true,
+      user: true
+    },
+    entityTypeOrder: ['tag', 'script', 'organizationGroup', 'application', 'product', 'profile', 'smartGroup', 'device', 'user'],
+    maskedFields: ['serialNumber', 'email'],
+    customResolvers: [],
+    typeInferenceMode: 'prefer',
+    typeInferenceRules: TypeInferenceRules.DEFAULT_RULES
   };
 }
 
@@ -451,6 +689,488 @@ async function updateStats() {
   }
 }
 
+/**
+ * Set up drag-and-drop reordering of the entity type cards
+ */
+function setupEntityTypeDragAndDrop() {
+  document.querySelectorAll('#entityGrid .entity-card').forEach(attachEntityCardDragHandlers);
+}
+
+/**
+ * Make one entity type card draggable within the grid
+ */
+function attachEntityCardDragHandlers(card) {
+  const grid = document.getElementById('entityGrid');
+  
+  card.addEventListener('dragstart', (event) => {
+    draggedEntityCard = card;
+    card.classList.add('dragging');
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', card.dataset.entityType);
+  });
+  
+  card.addEventListener('dragend', () => {
+    card.classList.remove('dragging');
+    grid.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+    draggedEntityCard = null;
+  });
+  
+  card.addEventListener('dragover', (event) => {
+    if (!draggedEntityCard || draggedEntityCard === card) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+    card.classList.add('drag-over');
+  });
+  
+  card.addEventListener('dragleave', () => {
+    card.classList.remove('drag-over');
+  });
+  
+  card.addEventListener('drop', (event) => {
+    event.preventDefault();
+    card.classList.remove('drag-over');
+    if (!draggedEntityCard || draggedEntityCard === card) return;
+    
+    // Dropping on a later card moves after it, on an earlier card moves before it
+    const cards = Array.from(grid.querySelectorAll('.entity-card'));
+    const movingDown = cards.indexOf(draggedEntityCard) < cards.indexOf(card);
+    grid.insertBefore(draggedEntityCard, movingDown ? card.nextSibling : card);
+    
+    handleInputChange({ target: { id: 'entityTypeOrder' } });
+  });
+}
+
+/**
+ * Read the entity type order from the card positions
+ */
+function getEntityTypeOrder() {
+  return Array.from(document.querySelectorAll('#entityGrid .entity-card'))
+    .map(card => card.dataset.entityType);
+}
+
+/**
+ * Reorder the entity type cards to match a saved order
+ */
+function applyEntityTypeOrder(order) {
+  const grid = document.getElementById('entityGrid');
+  const unlisted = Array.from(grid.querySelectorAll('.entity-card'))
+    .filter(card => !order.includes(card.dataset.entityType));
+  order.forEach(key => {
+    const card = grid.querySelector(`.entity-card[data-entity-type="${CSS.escape(key)}"]`);
+    if (card) grid.appendChild(card);
+  });
+  // Types missing from the saved order (e.g. new custom resolvers) go last, as in the service worker
+  unlisted.forEach(card => grid.appendChild(card));
+}
+
+/**
+ * Enable switches keyed by entity type, read from every card (built-in and custom)
+ */
+function getEntityTypeSwitches() {
+  const switches = {};
+  document.querySelectorAll('#entityGrid .entity-card').forEach(card => {
+    switches[card.dataset.entityType] = card.querySelector('input[type="checkbox"]').checked;
+  });
+  return switches;
+}
+
+/**
+ * Parse the custom resolver JSON. Returns { definitions } or { error } describing the first problem.
+ * The service worker validates the definitions again and ignores any it cannot use.
+ */
+function parseCustomResolvers(text) {
+  if (!text.trim()) return { definitions: [] };
+  
+  let definitions;
+  try {
+    definitions = JSON.parse(text);
+  } catch (error) {
+    return { error: `Invalid JSON: ${error.message}` };
+  }
+  if (!Array.isArray(definitions)) {
+    return { error: 'Expected an array of resolver definitions' };
+  }
+  
+  const keys = [...BUILT_IN_ENTITY_TYPES];
+  for (const [index, definition] of definitions.entries()) {
+    const label = `Definition ${index + 1}`;
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      return { error: `${label} is not an object` };
+    }
+    if (!RESOLVER_KEY_PATTERN.test(definition.key || '')) {
+      return { error: `${label}: "key" must start with a letter and contain only letters, digits, - or _` };
+    }
+    if (keys.includes(definition.key)) {
+      return { error: `${label}: the key "${definition.key}" is already used` };
+    }
+    const endpoints = [].concat(definition.endpoints || definition.endpoint || []);
+    if (endpoints.length === 0 || endpoints.some(endpoint => typeof endpoint !== 'string' || !endpoint.startsWith('/'))) {
+      return { error: `${label}: "endpoint" must be a path starting with /` };
+    }
+    if (![].concat(definition.nameFields || []).length) {
+      return { error: `${label}: "nameFields" is required` };
+    }
+    if (definition.lookup !== undefined && !['direct', 'list', 'index'].includes(definition.lookup)) {
+      return { error: `${label}: "lookup" must be "direct", "list" or "index"` };
+    }
+    if (['list', 'index'].includes(definition.lookup) && ![].concat(definition.matchFields || []).length) {
+      return { error: `${label}: "matchFields" is required for ${definition.lookup} lookups` };
+    }
+    if (definition.catalog !== undefined) {
+      const catalog = definition.catalog;
+      const catalogEndpoints = catalog && typeof catalog === 'object' ? [].concat(catalog.endpoints || catalog.endpoint || []) : [];
+      if (catalogEndpoints.length === 0 || catalogEndpoints.some(endpoint => typeof endpoint !== 'string' || !endpoint.startsWith('/'))) {
+        return { error: `${label}: "catalog" needs an "endpoint" path starting with /` };
+      }
+      if (![].concat(catalog.matchFields || []).length) {
+        return { error: `${label}: "matchFields" is required in "catalog"` };
+      }
+    }
+    keys.push(definition.key);
+  }
+  
+  return { definitions };
+}
+
+/**
+ * Custom resolvers to save. While the JSON is invalid the last saved definitions are kept.
+ */
+function collectCustomResolvers() {
+  const { definitions } = parseCustomResolvers(document.getElementById('customResolvers').value);
+  return definitions || currentSettings.customResolvers || [];
+}
+
+function handleCustomResolversInput(event) {
+  const status = document.getElementById('customResolversStatus');
+  const { definitions, error } = parseCustomResolvers(event.target.value);
+  status.textContent = error || '';
+  if (definitions) {
+    renderCustomEntityCards(definitions, getEntityTypeSwitches());
+  }
+}
+
+/**
+ * Show one entity type card per custom resolver, keeping their position in the grid
+ */
+function renderCustomEntityCards(definitions, entityTypes) {
+  const grid = document.getElementById('entityGrid');
+  const order = getEntityTypeOrder();
+  grid.querySelectorAll('.entity-card.custom').forEach(card => card.remove());
+  
+  definitions.forEach(definition => {
+    const card = document.createElement('div');
+    card.className = 'entity-card custom';
+    card.draggable = true;
+    card.dataset.entityType = definition.key;
+    
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = `entityCustom-${definition.key}`;
+    checkbox.checked = entityTypes[definition.key] !== false;
+    checkbox.addEventListener('change', handleInputChange);
+    
+    const checkmark = document.createElement('span');
+    checkmark.className = 'checkmark';
+    
+    const content = document.createElement('div');
+    content.className = 'entity-content';
+    content.innerHTML = '<div class="drag-handle" title="Drag to reorder" aria-hidden="true">⋮⋮</div><div class="entity-icon">🧩</div><div class="entity-info"><div class="entity-title"></div><div class="entity-description"></div></div>';
+    content.querySelector('.entity-title').textContent = definition.name || definition.key;
+    content.querySelector('.entity-description').textContent = `Custom resolver (${definition.key})`;
+    
+    label.append(checkbox, checkmark, content);
+    card.appendChild(label);
+    grid.appendChild(card);
+    attachEntityCardDragHandlers(card);
+  });
+  
+  applyEntityTypeOrder(order);
+}
+
+/**
+ * Parse type inference rules ("pattern => type" per line). Invalid lines are skipped;
+ * an empty field means the defaults.
+ */
+function parseTypeInferenceRules(text) {
+  const rules = [];
+  
+  text.split('\n').forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    
+    const separator = trimmed.lastIndexOf('=>');
+    if (separator === -1) return;
+    
+    const pattern = trimmed.slice(0, separator).trim();
+    const entityType = trimmed.slice(separator + 2).trim();
+    if (!pattern || !entityType) return;
+    
+    if (!TypeInferenceRules.compilePattern(pattern)) {
+      debugLog('UUID Resolver Options: Skipping invalid type inference pattern:', pattern);
+      return;
+    }
+    rules.push({ pattern, entityType });
+  });
+  
+  return rules.length > 0 ? rules : getDefaultSettings().typeInferenceRules;
+}
+
+/**
+ * Format type inference rules for the textarea
+ */
+function formatTypeInferenceRules(rules) {
+  return rules.map(rule => `${rule.pattern} => ${rule.entityType}`).join('\n');
+}
+
+/**
+ * Convert the cache duration field (hours) to milliseconds
+ */
+function parseCacheTtl(value) {
+  const hours = parseFloat(value);
+  if (Number.isNaN(hours) || hours < 0) {
+    return 24 * 3600000;
+  }
+  return Math.round(hours * 3600000);
+}
+
+/**
+ * Convert the catalog sync interval field (hours) to milliseconds, at least 15 minutes
+ */
+function parseCatalogSyncInterval(value) {
+  const hours = parseFloat(value);
+  if (Number.isNaN(hours) || hours <= 0) {
+    return 6 * 3600000;
+  }
+  return Math.max(Math.round(hours * 3600000), 15 * 60000);
+}
+
+/**
+ * Show the last catalog sync and its per-type results
+ */
+async function loadCatalogSyncStatus() {
+  let status = null;
+  try {
+    const response = await sendMessage({ action: 'getCatalogStatus' });
+    status = response && response.success ? response.data : null;
+  } catch (error) {
+    debugLog('UUID Resolver Options: Could not load catalog sync status:', error);
+  }
+  renderCatalogSyncStatus(status);
+}
+
+function renderCatalogSyncStatus(status) {
+  const summary = document.getElementById('catalogSyncSummary');
+  const list = document.getElementById('catalogSyncResults');
+  document.getElementById('syncCatalogBtn').disabled = !!(status && status.running);
+  list.textContent = '';
+
+  if (!status || (!status.startedAt && status.storageError)) {
+    summary.textContent = 'Never synced';
+  } else {
+    summary.textContent = status.running
+      ? `Syncing since ${new Date(status.startedAt).toLocaleString()}...`
+      : `Last synced ${new Date(status.finishedAt).toLocaleString()}`;
+  }
+  if (!status) return;
+
+  if (status.storageError) {
+    const item = document.createElement('li');
+    item.className = 'cache-entry expired';
+    const info = document.createElement('div');
+    info.className = 'cache-entry-info';
+    const name = document.createElement('div');
+    name.className = 'cache-entry-name';
+    name.textContent = 'Not saved for offline use';
+    const meta = document.createElement('div');
+    meta.className = 'cache-entry-meta';
+    meta.textContent = `The local index could not be stored (${status.storageError.message}). It is used until the browser restarts`;
+    info.append(name, meta);
+    item.appendChild(info);
+    list.appendChild(item);
+  }
+
+  (status.results || []).forEach(result => {
+    const item = document.createElement('li');
+    item.className = `cache-entry${result.error ? ' expired' : ''}`;
+
+    const info = document.createElement('div');
+    info.className = 'cache-entry-info';
+
+    const name = document.createElement('div');
+    name.className = 'cache-entry-name';
+    name.textContent = result.name;
+
+    const meta = document.createElement('div');
+    meta.className = 'cache-entry-meta';
+    meta.textContent = `${result.environmentName} · ${result.error ? `failed: ${result.error}` : `${result.count} entries`}`;
+
+    info.append(name, meta);
+    item.appendChild(info);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Sync the catalog now with the saved settings
+ */
+async function handleSyncCatalog() {
+  const button = document.getElementById('syncCatalogBtn');
+  button.disabled = true;
+  document.getElementById('catalogSyncSummary').textContent = 'Syncing...';
+
+  try {
+    if (isDirty) {
+      await saveSettings(collectSettings());
+      markAsClean();
+    }
+    // Large tenants page through thousands of records, so allow well beyond the usual timeout
+    const response = await sendMessage({ action: 'syncCatalog' }, 10 * 60000);
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+    renderCatalogSyncStatus(response.data);
+    const failed = response.data.results.filter(result => result.error).length;
+    showToast(failed ? `Catalog synced with ${failed} error(s)` : 'Catalog synced', failed ? 'warning' : 'success');
+  } catch (error) {
+    debugLog('UUID Resolver Options: Catalog sync failed:', error);
+    showToast(`Catalog sync failed: ${error.message}`, 'error');
+    await loadCatalogSyncStatus();
+  }
+}
+
+/**
+ * Console logging while Debug Mode is checked
+ */
+function debugLog(...args) {
+  if (currentSettings.debugMode) console.log(...args);
+}
+
+/**
+ * Load resolution cache entries from the background script
+ */
+async function loadCacheEntries() {
+  try {
+    const response = await sendMessage({ action: 'getCacheEntries' });
+    cacheEntries = (response && response.success && response.data) ? response.data : [];
+  } catch (error) {
+    debugLog('UUID Resolver Options: Could not load cache entries:', error);
+    cacheEntries = [];
+  }
+  renderCacheList();
+}
+
+/**
+ * Render the cache list, filtered by the search box
+ */
+function renderCacheList() {
+  const list = document.getElementById('cacheList');
+  const query = document.getElementById('cacheSearch').value.trim().toLowerCase();
+  document.getElementById('cacheCount').textContent = cacheEntries.length;
+
+  const matches = cacheEntries.filter(entry => !query ||
+    [entry.name, entry.type, entry.uuid].some(value => (value || '').toLowerCase().includes(query)));
+
+  list.textContent = '';
+  if (cacheEntries.length > 0 && matches.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'cache-entry cache-empty';
+    empty.textContent = 'No cached entries match your search';
+    list.appendChild(empty);
+    return;
+  }
+
+  matches.forEach(entry => {
+    const item = document.createElement('li');
+    item.className = `cache-entry${entry.expired ? ' expired' : ''}`;
+
+    const info = document.createElement('div');
+    info.className = 'cache-entry-info';
+
+    const name = document.createElement('div');
+    name.className = 'cache-entry-name';
+    name.textContent = `${entry.name || 'Unknown'} (${entry.type || 'Unknown Type'})`;
+
+    const meta = document.createElement('div');
+    meta.className = 'cache-entry-meta';
+    const status = entry.expired ? 'expired' : `cached ${new Date(entry.cachedAt).toLocaleString()}`;
+    meta.textContent = `${entry.uuid} · OG ${entry.organizationGroupId || '—'} · ${status}`;
+    meta.title = entry.serverUrl || '';
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'footer-btn';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => handleEvictCacheEntry(entry.key));
+
+    info.append(name, meta);
+    item.append(info, removeBtn);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Evict a single cache entry
+ */
+async function handleEvictCacheEntry(key) {
+  try {
+    const response = await sendMessage({ action: 'evictCacheEntry', key });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+    await loadCacheEntries();
+  } catch (error) {
+    debugLog('UUID Resolver Options: Failed to evict cache entry:', error);
+    showToast('Failed to remove cache entry', 'error');
+  }
+}
+
+/**
+ * Clear the whole resolution cache
+ */
+async function handleClearCache() {
+  if (!confirm('Clear all cached UUID resolutions and the local tag index?')) {
+    return;
+  }
+
+  try {
+    const response = await sendMessage({ action: 'clearCache' });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+    await loadCacheEntries();
+    showToast('Resolution cache cleared', 'success');
+  } catch (error) {
+    debugLog('UUID Resolver Options: Failed to clear cache:', error);
+    showToast('Failed to clear cache', 'error');
+  }
+}
+
+/**
+ * Show the remaining lifetime of the cached OAuth token
+ */
+async function updateTokenStatus() {
+  const field = document.getElementById('tokenStatus');
+  try {
+    const response = await sendMessage({ action: 'getTokenStatus', environmentId: selectedEnvironmentId });
+    const status = response && response.success ? response.data : null;
+    field.value = status && status.hasToken ? formatTokenLifetime(status.expiresAt) : '';
+  } catch (error) {
+    debugLog('UUID Resolver Options: Could not get token status:', error);
+    field.value = '';
+  }
+}
+
+/**
+ * Format a token expiry as "Valid for 42 min (expires 10:32:00)"
+ */
+function formatTokenLifetime(expiresAt) {
+  const minutes = Math.max(0, Math.round((expiresAt - Date.now()) / 60000));
+  const remaining = minutes >= 60 ? `${Math.floor(minutes / 60)} h ${minutes % 60} min` : `${minutes} min`;
+  return `Valid for ${remaining} (expires ${new Date(expiresAt).toLocaleTimeString()})`;
+}
+
 /**
  * Update status indicator
  */
@@ -482,7 +1202,8 @@ async function handleTestConnection() {
     testBtn.disabled = true;
     testResult.style.display = 'none';
     
-    const settings = collectSettings();
+    // Test the environment being edited, not necessarily the default one
+    const settings = { ...collectSettings(), ...getEnvironmentFields(getSelectedEnvironment()) };
     
     // Validate required fields
     if (!settings.serverUrl) {
@@ -515,12 +1236,9 @@ async function handleTestConnection() {
     if (response && response.success) {
       const result = response.data;
       
-      // Update OAuth token if received
-      if (settings.authType === 'oauth' && result.token) {
-        document.getElementById('authToken').value = result.token;
-        settings.authToken = result.token;
-        await saveSettings(settings);
-        showToast('OAuth token obtained and saved', 'success');
+      // Show the cached OAuth token lifetime
+      if (settings.authType === 'oauth') {
+        await updateTokenStatus();
       }
       
       // Show success message
@@ -599,7 +1317,10 @@ async function handleExportSettings() {
     const exportSettings = { ...settings };
     delete exportSettings.password;
     delete exportSettings.clientSecret;
-    delete exportSettings.authToken;
+    exportSettings.environments = settings.environments.map(environment => {
+      const { password, clientSecret, ...rest } = environment;
+      return rest;
+    });
     
     const blob = new Blob([JSON.stringify(exportSettings, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
@@ -644,6 +1365,8 @@ function showToast(message, type = 'info') {
   const toastContainer = document.getElementById('toastContainer');
   const toast = document.createElement('div');
   toast.className = `toast ${type}`;
+  // Announced by screen readers; errors interrupt
+  toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
   toast.textContent = message;
   
   toastContainer.appendChild(toast);
@@ -717,6 +1440,33 @@ setInterval(() => {
   }
 }, 10000); // Every 10 seconds
 
+// Follow what the service worker writes while the page is open: the cache list (batched, see
+// scheduleCacheRefresh), the catalog sync status and the OAuth token lifetime
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (!isInitialized) return;
+  if (areaName === 'local' && changes.resolutionCache) scheduleCacheRefresh();
+  if (areaName === 'local' && changes.catalogSyncStatus) loadCatalogSyncStatus();
+  if (areaName === 'session' && changes.oauthTokens) updateTokenStatus();
+});
+
+/**
+ * Reload the cache list once resolutions have settled for a moment, keeping its scroll position.
+ * Waits while an element of the list has focus, so a Remove button is not pulled from under the user.
+ */
+function scheduleCacheRefresh() {
+  clearTimeout(cacheRefreshTimer);
+  cacheRefreshTimer = setTimeout(async () => {
+    const list = document.getElementById('cacheList');
+    if (list.contains(document.activeElement)) {
+      scheduleCacheRefresh();
+      return;
+    }
+    const scrollTop = list.scrollTop;
+    await loadCacheEntries();
+    list.scrollTop = scrollTop;
+  }, 2000);
+}
+
 // Save on page unload
 window.addEventListener('beforeunload', () => {
   if (isDirty) {
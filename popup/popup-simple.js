@@ -3,6 +3,16 @@
  * Simple context menu-based system
  */
 
+// Failed popup actions are logged to the console only while Debug Mode is checked in the options
+let debugLogging = false;
+chrome.storage.sync.get('debugMode', (result) => {
+  debugLogging = result?.debugMode === true;
+});
+
+function debugLog(...args) {
+  if (debugLogging) console.log(...args);
+}
+
 document.addEventListener('DOMContentLoaded', async () => {
   console.log('UUID Resolver Popup: Loading...');
   
@@ -10,6 +20,18 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Load and display last resolved UUID
     await loadLastResolvedUUID();
     
+    // Show the diagnostic breakdown if the latest attempt failed
+    await loadLastFailure();
+    
+    // Load the resolution history
+    await loadHistory();
+    
+    // Replace-in-place switch of the active tab
+    await loadReplaceMode();
+    
+    // Warn when the offline catalog could not be stored
+    await loadIndexStatus();
+    
     // Load configuration status
     await loadConfigurationStatus();
     
@@ -49,17 +71,33 @@ async function loadLastResolvedUUID() {
         document.getElementById('entityDescription').style.display = 'block';
       }
       
-      // Show additional details if available
-      const details = [];
-      if (entityData.version) details.push(`Version: ${entityData.version}`);
-      if (entityData.platform) details.push(`Platform: ${entityData.platform}`);
-      if (entityData.category) details.push(`Category: ${entityData.category}`);
-      if (entityData.groupId) details.push(`Group ID: ${entityData.groupId}`);
+      // Show additional details if available (labelled fields from the resolver definition)
+      const details = Array.isArray(entityData.details)
+        ? entityData.details.map(detail => `${detail.label}: ${detail.value}`)
+        : [];
+      if (!entityData.details) {
+        // Entities stored before resolver definitions carried their details
+        if (entityData.version) details.push(`Version: ${entityData.version}`);
+        if (entityData.platform) details.push(`Platform: ${entityData.platform}`);
+        if (entityData.groupId) details.push(`Group ID: ${entityData.groupId}`);
+      }
       if (entityData.isActive !== undefined) details.push(`Active: ${entityData.isActive ? 'Yes' : 'No'}`);
       
       if (details.length > 0) {
-        document.getElementById('entityDetails').innerHTML = details.join('<br>');
-        document.getElementById('entityDetails').style.display = 'block';
+        const detailsElement = document.getElementById('entityDetails');
+        detailsElement.textContent = details.join('\n');
+        detailsElement.style.display = 'block';
+      }
+      
+      // Entities answered from the synced catalog carry the time of the sync
+      if (entityData.fromIndex) {
+        const synced = entityData.indexedAt ? new Date(entityData.indexedAt).toLocaleString() : 'unknown';
+        const originElement = document.getElementById('entityOrigin');
+        originElement.textContent = entityData.stale
+          ? `From the local catalog, last synced ${synced} - may be outdated`
+          : `From the local catalog, synced ${synced}`;
+        originElement.classList.toggle('stale', !!entityData.stale);
+        originElement.style.display = 'block';
       }
       
     } else {
@@ -72,11 +110,293 @@ async function loadLastResolvedUUID() {
   }
 }
 
+/**
+ * Load the last failed resolution and show its per-type breakdown,
+ * unless a later resolution succeeded
+ */
+async function loadLastFailure() {
+  try {
+    const [failureResponse, resolvedResponse] = await Promise.all([
+      chrome.runtime.sendMessage({ action: 'getLastResolutionFailure' }),
+      chrome.runtime.sendMessage({ action: 'getLastResolvedEntity' })
+    ]);
+    const failure = failureResponse && failureResponse.success ? failureResponse.data : null;
+    const resolved = resolvedResponse && resolvedResponse.success ? resolvedResponse.data : null;
+    
+    if (!failure || (resolved && resolved.timestamp > failure.timestamp)) {
+      return;
+    }
+    
+    document.getElementById('failureTitle').textContent = failure.title || 'UUID Not Resolved';
+    document.getElementById('failureUuid').textContent = failure.uuid;
+    
+    const list = document.getElementById('failureDiagnostics');
+    list.textContent = '';
+    (failure.diagnostics || []).forEach(diagnostic => {
+      const item = document.createElement('li');
+      item.className = diagnostic.category;
+      const name = document.createElement('span');
+      name.className = 'diagnostic-name';
+      name.textContent = diagnostic.name;
+      const label = document.createElement('span');
+      label.className = 'diagnostic-label';
+      label.textContent = diagnostic.label;
+      item.append(name, label);
+      list.appendChild(item);
+    });
+    
+    document.getElementById('lastFailureSection').style.display = 'block';
+    document.getElementById('instructionsSection').style.display = 'none';
+    document.getElementById('clearBtn').style.display = 'inline-block';
+  } catch (error) {
+    debugLog('UUID Resolver Popup: Failed to load last failure:', error);
+  }
+}
+
+/**
+ * Resolve the UUIDs typed or pasted into the popup, for the environment of the active tab
+ */
+async function handleResolveInput() {
+  const input = document.getElementById('uuidInput');
+  const button = document.getElementById('resolveInputBtn');
+  const errorElement = document.getElementById('inputError');
+  const text = input.value.trim();
+  if (!text) return;
+  
+  button.disabled = true;
+  button.textContent = 'Resolving...';
+  errorElement.style.display = 'none';
+  document.getElementById('inputResults').textContent = '';
+  
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'resolvePastedText', text, url: await getActiveTabUrl() });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+    renderInputResults(response.data);
+    await loadHistory();
+  } catch (error) {
+    debugLog('UUID Resolver Popup: Failed to resolve input:', error);
+    errorElement.textContent = error.message;
+    errorElement.style.display = 'block';
+  } finally {
+    button.disabled = false;
+    button.textContent = 'Resolve';
+  }
+}
+
+function renderInputResults(result) {
+  const list = document.getElementById('inputResults');
+  list.textContent = '';
+  
+  result.rows.forEach(row => {
+    const item = document.createElement('li');
+    item.className = `history-entry${row.status === 'resolved' ? '' : ' failed'}`;
+    
+    const info = document.createElement('div');
+    info.className = 'history-info';
+    const title = document.createElement('div');
+    title.className = 'history-name';
+    title.textContent = row.status === 'resolved' ? row.name || 'Unknown' : row.statusLabel;
+    if (row.type) {
+      const typeLabel = document.createElement('span');
+      typeLabel.className = 'history-type';
+      typeLabel.textContent = `(${row.type})`;
+      title.appendChild(typeLabel);
+    }
+    const uuid = document.createElement('div');
+    uuid.className = 'history-meta';
+    uuid.textContent = row.uuid;
+    // Hover a failed row for the per-type breakdown
+    if (row.diagnostics) item.title = row.diagnostics;
+    
+    info.append(title, uuid);
+    item.appendChild(info);
+    list.appendChild(item);
+  });
+  
+  if (result.skipped > 0) {
+    const errorElement = document.getElementById('inputError');
+    errorElement.textContent = `${result.skipped} more UUIDs were skipped. Enter at most ${result.limit} at a time.`;
+    errorElement.style.display = 'block';
+  }
+}
+
+let historyEntries = [];
+
+/**
+ * Load the resolution history from the background script
+ */
+async function loadHistory() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getHistory' });
+    historyEntries = response && response.success && Array.isArray(response.data) ? response.data : [];
+  } catch (error) {
+    debugLog('UUID Resolver Popup: Failed to load history:', error);
+    historyEntries = [];
+  }
+  
+  document.getElementById('historySection').style.display = historyEntries.length > 0 ? 'block' : 'none';
+  if (historyEntries.length > 0) {
+    document.getElementById('instructionsSection').style.display = 'none';
+  }
+  renderHistory();
+}
+
+/**
+ * Name, type and status text of a history entry as shown and exported
+ */
+function describeHistoryEntry(entry) {
+  if (entry.entity) {
+    return { name: entry.entity.name || 'Unknown', type: entry.entity.subType || entry.entity.type || '', status: 'Resolved' };
+  }
+  const status = entry.status === 'error' ? `Error: ${entry.error || 'unknown'}` : (entry.title || 'UUID Not Resolved');
+  return { name: entry.status === 'error' ? 'Resolution Error' : status, type: '', status };
+}
+
+/**
+ * Render the history list, filtered by the search box (name, UUID or type)
+ */
+function renderHistory() {
+  const list = document.getElementById('historyList');
+  const query = document.getElementById('historySearch').value.trim().toLowerCase();
+  const matches = historyEntries.filter(entry => {
+    const { name, type } = describeHistoryEntry(entry);
+    return !query || [name, type, entry.uuid].some(value => (value || '').toLowerCase().includes(query));
+  });
+  
+  list.textContent = '';
+  if (matches.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'history-empty';
+    empty.textContent = 'No history entries match your search';
+    list.appendChild(empty);
+    return;
+  }
+  
+  matches.forEach(entry => {
+    const { name, type } = describeHistoryEntry(entry);
+    const item = document.createElement('li');
+    item.className = `history-entry${entry.entity ? '' : ' failed'}${entry.pinned ? ' pinned' : ''}`;
+    
+    const info = document.createElement('div');
+    info.className = 'history-info';
+    const title = document.createElement('div');
+    title.className = 'history-name';
+    title.textContent = name;
+    title.title = name;
+    if (type) {
+      const typeLabel = document.createElement('span');
+      typeLabel.className = 'history-type';
+      typeLabel.textContent = `(${type})`;
+      title.appendChild(typeLabel);
+    }
+    const uuid = document.createElement('div');
+    uuid.className = 'history-meta';
+    uuid.textContent = entry.uuid;
+    const meta = document.createElement('div');
+    meta.className = 'history-meta';
+    meta.textContent = [new Date(entry.timestamp).toLocaleString(), entry.environmentName].filter(Boolean).join(' · ');
+    meta.title = entry.tabUrl || '';
+    info.append(title, uuid, meta);
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'history-buttons';
+    buttons.append(
+      createHistoryButton('pin-btn', entry.pinned ? '★' : '☆', entry.pinned ? 'Unpin' : 'Pin', () => handlePinHistoryEntry(entry)),
+      createHistoryButton('rerun-btn', '↻', 'Resolve again', (event) => handleRerunHistoryEntry(entry, event.currentTarget)),
+      createHistoryButton('delete-btn', '✕', 'Remove from history', () => handleDeleteHistoryEntry(entry))
+    );
+    
+    item.append(info, buttons);
+    list.appendChild(item);
+  });
+}
+
+function createHistoryButton(className, text, label, onClick) {
+  const button = document.createElement('button');
+  button.className = className;
+  button.textContent = text;
+  button.title = label;
+  button.setAttribute('aria-label', label);
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+async function handlePinHistoryEntry(entry) {
+  try {
+    await chrome.runtime.sendMessage({ action: 'pinHistoryEntry', id: entry.id, pinned: !entry.pinned });
+    await loadHistory();
+  } catch (error) {
+    debugLog('UUID Resolver Popup: Failed to pin history entry:', error);
+  }
+}
+
+async function handleDeleteHistoryEntry(entry) {
+  try {
+    await chrome.runtime.sendMessage({ action: 'deleteHistoryEntry', id: entry.id });
+    await loadHistory();
+  } catch (error) {
+    debugLog('UUID Resolver Popup: Failed to delete history entry:', error);
+  }
+}
+
+async function handleRerunHistoryEntry(entry, button) {
+  button.disabled = true;
+  button.textContent = '…';
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'rerunHistoryEntry', id: entry.id });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Unknown error');
+    }
+  } catch (error) {
+    debugLog('UUID Resolver Popup: Failed to re-resolve history entry:', error);
+    button.title = `Failed: ${error.message}`;
+  }
+  await loadHistory();
+}
+
+/**
+ * Export the history (as shown, with masking applied) as CSV or JSON
+ */
+function handleExportHistory(format) {
+  const rows = historyEntries.map(entry => {
+    const { name, type, status } = describeHistoryEntry(entry);
+    return {
+      timestamp: new Date(entry.timestamp).toISOString(),
+      uuid: entry.uuid,
+      name: entry.entity ? name : '',
+      type,
+      status,
+      environment: entry.environmentName || '',
+      tabUrl: entry.tabUrl || '',
+      pinned: !!entry.pinned
+    };
+  });
+  
+  let content;
+  if (format === 'json') {
+    content = JSON.stringify(rows, null, 2);
+  } else {
+    const columns = ['timestamp', 'uuid', 'name', 'type', 'status', 'environment', 'tabUrl', 'pinned'];
+    content = [columns.join(','), ...rows.map(row => columns.map(column => CsvFormat.escapeCell(row[column])).join(','))].join('\n');
+  }
+  
+  const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `uuid-resolver-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /**
  * Show instructions section
  */
 function showInstructions() {
   document.getElementById('lastResolvedSection').style.display = 'none';
+  document.getElementById('lastFailureSection').style.display = 'none';
   document.getElementById('instructionsSection').style.display = 'block';
   document.getElementById('clearBtn').style.display = 'none';
 }
@@ -86,10 +406,17 @@ function showInstructions() {
  */
 async function loadConfigurationStatus() {
   try {
-    const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    // Settings of the environment profile that applies to the active tab
+    const url = await getActiveTabUrl();
+    const response = await chrome.runtime.sendMessage({ action: 'getSettingsForUrl', url });
     
     if (response && response.success) {
       const settings = response.data;
+      
+      if (Array.isArray(settings.environments) && settings.environments.length > 1) {
+        document.getElementById('environmentName').textContent = settings.environmentName || 'Default';
+        document.getElementById('environmentStatusItem').style.display = 'flex';
+      }
       let status = 'Not configured';
       
       if (settings.serverUrl && settings.authType) {
@@ -103,6 +430,10 @@ async function loadConfigurationStatus() {
       }
       
       document.getElementById('configStatus').textContent = status;
+      
+      if (settings.authType === 'oauth') {
+        await loadTokenStatus(url);
+      }
     }
   } catch (error) {
     console.error('UUID Resolver Popup: Failed to load configuration status:', error);
@@ -110,6 +441,99 @@ async function loadConfigurationStatus() {
   }
 }
 
+/**
+ * URL of the tab the popup was opened on (undefined when not readable)
+ */
+async function getActiveTabUrl() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    return tab?.url;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Show the replace-in-place switch when the active tab runs the content script (UEM pages)
+ */
+async function loadReplaceMode() {
+  const state = await sendReplaceModeMessage({ action: 'getReplaceMode' });
+  if (!state) return;
+  document.getElementById('replaceModeToggle').checked = state.enabled;
+  renderReplaceModeHint(state);
+  document.getElementById('pageSection').style.display = 'block';
+}
+
+async function handleReplaceModeToggle(event) {
+  const toggle = event.target;
+  const state = await sendReplaceModeMessage({ action: 'setReplaceMode', enabled: toggle.checked });
+  if (!state) {
+    toggle.checked = !toggle.checked;
+    document.getElementById('replaceModeHint').textContent = 'This page no longer responds. Reload it and try again';
+    return;
+  }
+  toggle.checked = state.enabled;
+  renderReplaceModeHint(state);
+}
+
+function renderReplaceModeHint(state) {
+  document.getElementById('replaceModeHint').textContent = state.enabled
+    ? `${state.replaced} text ${state.replaced === 1 ? 'node' : 'nodes'} rewritten on this tab. Switch off to restore the page`
+    : 'Rewrites the UUIDs on this tab as "Name (type)". Switch off to restore the page';
+}
+
+/**
+ * Message the content script of the active tab; null when it is not running there
+ */
+async function sendReplaceModeMessage(message) {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id) return null;
+    const response = await chrome.tabs.sendMessage(tab.id, message, { frameId: 0 });
+    return response && response.success ? response : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Show a warning when the local catalog index could not be written to storage
+ */
+async function loadIndexStatus() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getCatalogStatus' });
+    const storageError = response && response.success && response.data ? response.data.storageError : null;
+    if (!storageError) return;
+    const statusElement = document.getElementById('indexStatus');
+    statusElement.textContent = '⚠️ Not saved for offline use';
+    statusElement.title = storageError.message;
+    document.getElementById('indexStatusItem').style.display = 'flex';
+  } catch (error) {
+    debugLog('UUID Resolver Popup: Failed to load index status:', error);
+  }
+}
+
+/**
+ * Show the remaining lifetime of the cached OAuth token
+ */
+async function loadTokenStatus(url) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getTokenStatus', url });
+    const status = response && response.success ? response.data : null;
+    let text = 'No active token';
+    
+    if (status && status.hasToken) {
+      const minutes = Math.max(0, Math.round((status.expiresAt - Date.now()) / 60000));
+      text = `✅ Valid for ${minutes} min`;
+    }
+    
+    document.getElementById('tokenStatus').textContent = text;
+    document.getElementById('tokenStatusItem').style.display = 'flex';
+  } catch (error) {
+    debugLog('UUID Resolver Popup: Failed to load token status:', error);
+  }
+}
+
 /**
  * Setup event listeners
  */
@@ -120,10 +544,32 @@ function setupEventListeners() {
     window.close();
   });
   
+  // Manual input: resolve on paste, Ctrl+Enter or the button
+  const uuidInput = document.getElementById('uuidInput');
+  document.getElementById('resolveInputBtn').addEventListener('click', handleResolveInput);
+  uuidInput.addEventListener('paste', () => {
+    // The pasted text is in the field after the event
+    setTimeout(handleResolveInput, 0);
+  });
+  uuidInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      handleResolveInput();
+    }
+  });
+  
+  // Replace-in-place mode of the active tab
+  document.getElementById('replaceModeToggle').addEventListener('change', handleReplaceModeToggle);
+  
+  // History search and export
+  document.getElementById('historySearch').addEventListener('input', renderHistory);
+  document.getElementById('exportHistoryCsvBtn').addEventListener('click', () => handleExportHistory('csv'));
+  document.getElementById('exportHistoryJsonBtn').addEventListener('click', () => handleExportHistory('json'));
+  
   // Clear last resolved button
   document.getElementById('clearBtn').addEventListener('click', async () => {
     try {
-      await chrome.storage.local.remove(['lastResolvedEntity']);
+      await chrome.storage.local.remove(['lastResolvedEntity', 'lastResolutionFailure']);
       showInstructions();
     } catch (error) {
       console.error('UUID Resolver Popup: Failed to clear last resolved:', error);
@@ -0,0 +1,20 @@
+/**
+ * CSV formatting for UUID Resolver Chrome Extension
+ * Shared by the popup (script tag) and the content script (manifest),
+ * exposed as the global CsvFormat.
+ */
+(function (root) {
+  // Spreadsheets run cells starting with these as formulas
+  const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+  /**
+   * One CSV cell: formula-like text is prefixed with ' and text with quotes, commas or line breaks is quoted
+   */
+  function escapeCell(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (FORMULA_PREFIX_PATTERN.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  root.CsvFormat = { escapeCell };
+})(typeof self !== 'undefined' ? self : globalThis);
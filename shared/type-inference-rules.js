@@ -0,0 +1,34 @@
+/**
+ * Type inference rules for UUID Resolver Chrome Extension
+ * Shared by the service worker (importScripts) and the options page (script tag),
+ * exposed as the global TypeInferenceRules.
+ *
+ * A rule maps a case-insensitive regex to an entity type key; the service worker matches the
+ * rules against the DOM context of a UUID, the options page edits them.
+ */
+(function (root) {
+  const DEFAULT_RULES = [
+    { pattern: '\\b(smart|assignment)\\s*groups?\\b', entityType: 'smartGroup' },
+    { pattern: '\\btags?\\b', entityType: 'tag' },
+    { pattern: '\\bprofiles?\\b', entityType: 'profile' },
+    { pattern: '\\bscripts?\\b', entityType: 'script' },
+    { pattern: '\\bproducts?\\b', entityType: 'product' },
+    { pattern: 'organi[sz]ation\\s*groups?|\\bOG\\b', entityType: 'organizationGroup' },
+    { pattern: '\\bapp(lication)?s?\\b', entityType: 'application' },
+    { pattern: '\\bdevices?\\b', entityType: 'device' },
+    { pattern: '\\busers?\\b', entityType: 'user' }
+  ];
+
+  /**
+   * The case-insensitive regex of a rule pattern, or null when the pattern is not a valid regex
+   */
+  function compilePattern(pattern) {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (_) {
+      return null;
+    }
+  }
+
+  root.TypeInferenceRules = { DEFAULT_RULES, compilePattern };
+})(typeof self !== 'undefined' ? self : globalThis);
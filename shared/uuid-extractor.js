@@ -0,0 +1,150 @@
+/**
+ * UUID extraction for UUID Resolver Chrome Extension
+ * Shared by the service worker (importScripts) and the content script (manifest),
+ * exposed as the global UUIDExtractor.
+ *
+ * Recognizes the forms UUIDs are copied in from UEM and Intelligence pages and
+ * canonicalizes them to lowercase 8-4-4-4-12:
+ *   1234abcd-12ab-34cd-56ef-1234567890ab    canonical, any case
+ *   {1234ABCD-12AB-34CD-56EF-1234567890AB}  braced (also %7B...%7D)
+ *   1234abcd12ab34cd56ef1234567890ab        dashless 32-char hex
+ *   1234abcd%2D12ab%2D...                   URL-encoded dashes
+ *   1234abcd-12ab-\n34cd-...                split across lines by the canvas
+ */
+(function (root) {
+  // A run of hex digits joined by dashes, encoded dashes or line breaks, optionally after an encoded brace
+  const RUN_PATTERN = /(?:%7b)?[0-9a-f]+(?:(?:-|%2d|[ \t]*\r?\n[ \t]*)+[0-9a-f]+)*/gi;
+  const LINE_BREAK_PATTERN = /[ \t]*\r?\n[ \t]*/g;
+  // A canonical UUID inside a longer run, e.g. "add-<uuid>" or "<uuid>-1"; dashes may be %2D.
+  // No hex may touch it on either side (the "d" of a leading %2D does not count), so a UUID with
+  // a digit too many is not cut down to a different, valid UUID
+  const EMBEDDED_PATTERN = /(?<!(?<!%[0-9a-f])[0-9a-f])(?:%7b)?[0-9a-f]{8}(?:-|%2d)[0-9a-f]{4}(?:-|%2d)[0-9a-f]{4}(?:-|%2d)[0-9a-f]{4}(?:-|%2d)[0-9a-f]{12}(?![0-9a-f])/gi;
+  const CANONICAL_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+  const DASHLESS_PATTERN = /^[0-9a-f]{32}$/;
+  // Near misses reported as invalid: a group too short or too long, or a digit lost or added.
+  // Found anywhere in a line, with the same hex boundaries as EMBEDDED_PATTERN
+  const DASHED_LIKE_PATTERN = /(?<!(?<!%[0-9a-f])[0-9a-f])(?:%7b)?[0-9a-f]{6,10}(?:(?:-|%2d)[0-9a-f]{2,6}){3}(?:-|%2d)[0-9a-f]{9,15}(?![0-9a-f])/i;
+  const DASHLESS_LIKE_PATTERN = /(?<!(?<!%[0-9a-f])[0-9a-f])(?:%7b)?[0-9a-f]{30,34}(?![0-9a-f])/i;
+  // A line-split UUID rarely spans more than a few lines
+  const MAX_JOINED_LINES = 4;
+
+  /**
+   * Canonical lowercase UUID for one candidate string, or null when it is not a UUID
+   */
+  function normalizeUUID(value, options = {}) {
+    const compact = String(value || '')
+      .trim()
+      .replace(LINE_BREAK_PATTERN, '')
+      .replace(/%2d/gi, '-')
+      .replace(/^(?:\{|%7b)/i, '')
+      .replace(/(?:\}|%7d)$/i, '')
+      .toLowerCase();
+
+    if (CANONICAL_PATTERN.test(compact)) {
+      return compact;
+    }
+    if (options.dashless !== false && DASHLESS_PATTERN.test(compact)) {
+      return `${compact.slice(0, 8)}-${compact.slice(8, 12)}-${compact.slice(12, 16)}-${compact.slice(16, 20)}-${compact.slice(20)}`;
+    }
+    return null;
+  }
+
+  /**
+   * UUID-like text in a line that holds no valid UUID, as { text, index }, or null
+   */
+  function looksLikeUUID(line, options = {}) {
+    const match = DASHED_LIKE_PATTERN.exec(line.text) || (options.dashless !== false ? DASHLESS_LIKE_PATTERN.exec(line.text) : null);
+    return match ? { text: match[0], index: line.index + match.index } : null;
+  }
+
+  /**
+   * Split a run at its line breaks, keeping each line's offset in the original text
+   */
+  function splitRunLines(run, offset) {
+    const lines = [];
+    let start = 0;
+    LINE_BREAK_PATTERN.lastIndex = 0;
+    let lineBreak;
+    while ((lineBreak = LINE_BREAK_PATTERN.exec(run)) !== null) {
+      lines.push({ text: run.slice(start, lineBreak.index), index: offset + start });
+      start = lineBreak.index + lineBreak[0].length;
+    }
+    lines.push({ text: run.slice(start), index: offset + start });
+    return lines;
+  }
+
+  /**
+   * Canonical UUIDs inside one line of a run, with their offset in the original text
+   */
+  function findEmbeddedUUIDs(line) {
+    const found = [];
+    EMBEDDED_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = EMBEDDED_PATTERN.exec(line.text)) !== null) {
+      found.push({ uuid: normalizeUUID(match[0]), index: line.index + match.index, length: match[0].length });
+    }
+    return found;
+  }
+
+  /**
+   * Find UUIDs in text with their position in it.
+   * Returns { matches: [{ uuid, index, length }], invalid: [{ text, index }] } where invalid lists
+   * UUID-like text that is not a valid UUID. Canonical UUIDs are found anywhere in a line, also after
+   * or before a dash-joined word, but never cut out of a longer hex run. Lines of a run are joined only when a single line holds no UUID, and
+   * only when the joined text is exactly one UUID, so a list of one UUID per line stays a list.
+   * options.dashless: false ignores 32-char hex (hashes and tokens look the same)
+   */
+  function findUUIDMatches(text, options = {}) {
+    const source = String(text || '');
+    const matches = [];
+    const invalid = [];
+    RUN_PATTERN.lastIndex = 0;
+    let run;
+
+    while ((run = RUN_PATTERN.exec(source)) !== null) {
+      const lines = splitRunLines(run[0], run.index);
+      let i = 0;
+
+      while (i < lines.length) {
+        const embedded = findEmbeddedUUIDs(lines[i]);
+        if (embedded.length) {
+          matches.push(...embedded);
+          i++;
+          continue;
+        }
+        let matched = false;
+        for (let j = i; j < lines.length && j < i + MAX_JOINED_LINES; j++) {
+          const joined = lines.slice(i, j + 1).map(line => line.text).join('');
+          const uuid = normalizeUUID(joined, options);
+          if (uuid) {
+            const end = lines[j].index + lines[j].text.length;
+            matches.push({ uuid, index: lines[i].index, length: end - lines[i].index });
+            i = j + 1;
+            matched = true;
+            break;
+          }
+        }
+        if (!matched) {
+          const candidate = looksLikeUUID(lines[i], options);
+          if (candidate) invalid.push(candidate);
+          i++;
+        }
+      }
+    }
+
+    return { matches, invalid };
+  }
+
+  /**
+   * Distinct canonical UUIDs in the order they appear, plus the distinct UUID-like text that was invalid
+   */
+  function extractUUIDs(text, options = {}) {
+    const { matches, invalid } = findUUIDMatches(text, options);
+    return {
+      uuids: [...new Set(matches.map(match => match.uuid))],
+      invalid: [...new Set(invalid.map(candidate => candidate.text))]
+    };
+  }
+
+  root.UUIDExtractor = { normalizeUUID, findUUIDMatches, extractUUIDs };
+})(typeof self !== 'undefined' ? self : globalThis);